@@ -8,11 +8,118 @@ let domElements = {};
 let isCalculating = false;
 let debounceTimer = null;
 
+// Conspirator groups for mixed-profession scenarios ({name, conspirators, professionType})
+let conspiratorGroups = [];
+
+// Compartmentalized tiers ({name, conspirators, professionType, leakRateMultiplier, leakExposureProbability}),
+// used instead of groups when enabled; their leak rates are resolved when calculating
+let conspiratorTiers = [];
+
+// Dataset the leak rates are fitted to, and the latest fit ({estimates, rateSet})
+let calibrationDataset = [];
+let calibrationFit = null;
+
+// Latest Monte Carlo run, so that results for inputs that have since changed are dropped
+let monteCarloRun = 0;
+
+// Inputs that can be given an uncertainty range
+const UNCERTAIN_INPUTS = ['conspirators', 'years', 'leakRate'];
+
+// Professions that can be given their own chance of a leak being believed
+const BELIEF_PROFESSIONS = Object.keys(LEAK_RATES);
+
+// Calculator inputs the AI analysis can fill in. Each is offered for review
+// before it is applied: extract reads the proposed value from the estimates
+// (null if there is none), read/write get and set the input, and evidence
+// names the estimates.evidence entry that quotes where the value came from.
+const ESTIMATE_FIELDS = {
+    conspirators: {
+        label: 'Number of conspirators',
+        evidence: 'scale',
+        extract: estimates => {
+            const groups = estimates.conspiratorGroups || [];
+            if (groups.length > 1) return groups.map(group => ({ ...group }));
+            return groups.length === 1 ? groups[0].conspirators : null;
+        },
+        read: () => conspiratorGroups.length > 0
+            ? conspiratorGroups.map(group => ({ ...group }))
+            : parseInt(domElements.conspirators?.value) || 1,
+        write: value => {
+            if (Array.isArray(value)) {
+                setConspiratorGroups(value);
+                return;
+            }
+            setConspiratorGroups([]);
+            if (domElements.conspirators) {
+                domElements.conspirators.value = value;
+            }
+            if (domElements.conspiratorsSlider) {
+                domElements.conspiratorsSlider.value = Math.min(value, parseInt(domElements.conspiratorsSlider.max) || 10000);
+            }
+        },
+        format: value => Array.isArray(value)
+            ? value.map(group => `${group.name || 'Group'}: ${group.conspirators.toLocaleString()} (${getProfessionName(group.professionType)})`).join('; ')
+            : value.toLocaleString()
+    },
+    professionType: {
+        label: 'Type of conspirators',
+        evidence: 'scale',
+        extract: estimates => estimates.conspiratorGroups?.length === 1 ? estimates.conspiratorGroups[0].professionType : null,
+        read: () => domElements.professionType?.value || 'general',
+        write: value => {
+            if (domElements.professionType) {
+                domElements.professionType.value = value;
+            }
+        },
+        format: value => getProfessionName(value)
+    },
+    yearsActive: {
+        label: 'Years active',
+        evidence: 'startYear',
+        extract: estimates => estimates.startYear !== null && estimates.startYear !== undefined
+            ? Math.max(new Date().getFullYear() - estimates.startYear, 1)
+            : null,
+        read: () => parseInt(domElements.yearsActive?.value) || 1,
+        write: value => {
+            if (domElements.yearsActive) {
+                domElements.yearsActive.value = value;
+            }
+            if (domElements.yearsActiveSlider) {
+                domElements.yearsActiveSlider.value = Math.min(value, parseInt(domElements.yearsActiveSlider.max) || 100);
+            }
+        },
+        format: value => `${value.toLocaleString()} ${value === 1 ? 'year' : 'years'}`
+    },
+    populationAffected: {
+        label: 'Population affected',
+        evidence: 'populationAffected',
+        extract: estimates => estimates.populationAffected ?? null,
+        read: () => parseFloat(domElements.populationAffected?.value) || 0,
+        write: value => {
+            if (domElements.populationAffected) {
+                domElements.populationAffected.value = value;
+            }
+        },
+        format: value => value.toLocaleString()
+    }
+};
+
+// AI estimates under review ({proposed, evidence, status, snapshot}): the proposed
+// value of each field, its accept/reject status, and the inputs before the analysis
+let estimateReview = null;
+
+// Countdown shown while the AI function is rate limiting us
+let rateLimitTimer = null;
+
 // Wait for DOM to be fully loaded
 document.addEventListener('DOMContentLoaded', function() {
     try {
         initializeDOMElements();
         initializeEventListeners();
+        setCalibrationDataset(getHistoricalBenchmarks(), 'built-in historical benchmarks');
+        if (typeof initializeChartExports === 'function') {
+            initializeChartExports();
+        }
         // Load initial calculations
         updateCalculations();
     } catch (error) {
@@ -28,11 +135,29 @@ function initializeDOMElements() {
     const elementIds = [
         'perplexityBtn', 'conspiracyName', 'conspiracyDescription', 'perplexityResults',
         'conspirators', 'conspiratorsSlider', 'professionType', 'yearsActive',
-        'yearsActiveSlider', 'populationAffected', 'survivalProbability',
+        'yearsActiveSlider', 'populationAffected', 'discoveryRate', 'populationModel', 'startingAge',
+        'startingAgeGroup', 'removalRate', 'removalRateGroup',
+        'recruitmentModel', 'recruitsPerYearGroup', 'recruitsPerYear', 'turnoverRateGroup', 'turnoverRate',
+        'recruitmentScheduleGroup', 'recruitmentSchedule', 'hazardModel', 'weibullGroup', 'weibullShape', 'weibullScale', 'hazardErasGroup', 'hazardEras',
+        'loyaltyGroup', 'loyaltyDecayRate', 'loyaltyCeiling', 'conspiratorGroupsList',
+        'addGroupBtn', 'conspiratorGroupsPanel', 'tiersEnabled', 'tiersInputs', 'tierList', 'tierSummary',
+        'uncertaintyEnabled', 'uncertaintyInputs', 'survivalRange', 'survivalOdds', 'exposureOdds', 'exposureBreakdown', 'leakedProbability',
+        'beliefEnabled', 'beliefInputs', 'beliefProbability', 'beliefDecayRate',
+        'exposureRange', 'expectedTimeRange', 'solveFor', 'targetSurvival', 'solverResult',
+        'simReplicates', 'simDefectionRate', 'simRetirementRate', 'simStartingAge', 'simRecruits',
+        'simRecruitYear', 'simMortality', 'runSimulationBtn', 'simulationStatus', 'simulationResult',
+        'simulationChartContainer', 'benchmarkFile', 'resetBenchmarksBtn', 'useFittedRates', 'calibrationStatus',
+        'calibrationTableBody', 'rewardSize', 'prosecutionRisk', 'whistleblowerProtection', 'useIncentives',
+        'incentiveSummary', 'incentiveTableBody', 'sensitivityTableBody', 'priorProbability', 'posteriorProbability', 'posteriorDescription', 'firstLeakSummary', 'survivalProbability',
         'exposureProbability', 'expectedTime', 'survivalDescription',
         'credibilityBanner', 'credibilityLevel', 'credibilityDescription', 'survivalCard'
     ];
     
+    UNCERTAIN_INPUTS.forEach(key => {
+        elementIds.push(`${key}Distribution`, `${key}Low`, `${key}Mode`, `${key}High`);
+    });
+    BELIEF_PROFESSIONS.forEach(type => elementIds.push(`${type}Belief`));
+    
     elementIds.forEach(id => {
         const element = document.getElementById(id);
         if (element) {
@@ -53,7 +178,7 @@ function initializeEventListeners() {
     // Perplexity API integration - always attach the listener
     if (domElements.perplexityBtn) {
         console.log('Attaching click listener to perplexityBtn');
-        domElements.perplexityBtn.addEventListener('click', handlePerplexityQuery);
+        domElements.perplexityBtn.addEventListener('click', () => handlePerplexityQuery());
     } else {
         console.warn('perplexityBtn not found in DOM');
     }
@@ -72,6 +197,113 @@ function initializeEventListeners() {
     if (domElements.populationAffected) {
         domElements.populationAffected.addEventListener('input', debouncedUpdate);
     }
+    if (domElements.discoveryRate) {
+        domElements.discoveryRate.addEventListener('input', debouncedUpdate);
+    }
+    if (domElements.populationModel) {
+        domElements.populationModel.addEventListener('change', function() {
+            togglePopulationModelInputs();
+            debouncedUpdate();
+        });
+    }
+    if (domElements.startingAge) {
+        domElements.startingAge.addEventListener('input', debouncedUpdate);
+    }
+    if (domElements.removalRate) {
+        domElements.removalRate.addEventListener('input', debouncedUpdate);
+    }
+    if (domElements.recruitmentModel) {
+        domElements.recruitmentModel.addEventListener('change', function() {
+            toggleRecruitmentInputs();
+            debouncedUpdate();
+        });
+    }
+    ['recruitsPerYear', 'turnoverRate', 'recruitmentSchedule'].forEach(id => {
+        domElements[id]?.addEventListener('input', debouncedUpdate);
+    });
+    if (domElements.hazardModel) {
+        domElements.hazardModel.addEventListener('change', function() {
+            toggleHazardModelInputs();
+            debouncedUpdate();
+        });
+    }
+    ['weibullShape', 'weibullScale', 'hazardEras', 'loyaltyDecayRate', 'loyaltyCeiling'].forEach(id => {
+        domElements[id]?.addEventListener('input', debouncedUpdate);
+    });
+    if (domElements.addGroupBtn) {
+        domElements.addGroupBtn.addEventListener('click', addConspiratorGroup);
+    }
+    if (domElements.tiersEnabled) {
+        domElements.tiersEnabled.addEventListener('change', function() {
+            if (this.checked) {
+                setDefaultTiers();
+            }
+            toggleTierInputs();
+            debouncedUpdate();
+        });
+    }
+    if (domElements.uncertaintyEnabled) {
+        domElements.uncertaintyEnabled.addEventListener('change', function() {
+            if (this.checked && !domElements.conspiratorsMode?.value) {
+                prefillUncertaintyRanges();
+            }
+            if (domElements.uncertaintyInputs) {
+                domElements.uncertaintyInputs.hidden = !this.checked;
+            }
+            debouncedUpdate();
+        });
+    }
+    if (domElements.beliefEnabled) {
+        domElements.beliefEnabled.addEventListener('change', function() {
+            if (domElements.beliefInputs) {
+                domElements.beliefInputs.hidden = !this.checked;
+            }
+            debouncedUpdate();
+        });
+    }
+    ['beliefProbability', 'beliefDecayRate', ...BELIEF_PROFESSIONS.map(type => `${type}Belief`)].forEach(id => {
+        domElements[id]?.addEventListener('input', debouncedUpdate);
+    });
+    if (domElements.runSimulationBtn) {
+        domElements.runSimulationBtn.addEventListener('click', handleRunSimulation);
+    }
+    if (domElements.benchmarkFile) {
+        domElements.benchmarkFile.addEventListener('change', handleBenchmarkImport);
+    }
+    if (domElements.resetBenchmarksBtn) {
+        domElements.resetBenchmarksBtn.addEventListener('click', function() {
+            setCalibrationDataset(getHistoricalBenchmarks(), 'built-in historical benchmarks');
+            debouncedUpdate();
+        });
+    }
+    if (domElements.useFittedRates) {
+        domElements.useFittedRates.addEventListener('change', debouncedUpdate);
+    }
+    ['rewardSize', 'prosecutionRisk', 'whistleblowerProtection'].forEach(id => {
+        domElements[id]?.addEventListener('input', debouncedUpdate);
+    });
+    if (domElements.useIncentives) {
+        domElements.useIncentives.addEventListener('change', debouncedUpdate);
+    }
+    if (domElements.priorProbability) {
+        domElements.priorProbability.addEventListener('input', debouncedUpdate);
+    }
+    if (domElements.solveFor) {
+        domElements.solveFor.addEventListener('change', debouncedUpdate);
+    }
+    if (domElements.targetSurvival) {
+        domElements.targetSurvival.addEventListener('input', debouncedUpdate);
+    }
+    UNCERTAIN_INPUTS.forEach(key => {
+        domElements[`${key}Distribution`]?.addEventListener('change', function() {
+            toggleUncertaintyFields(key);
+            debouncedUpdate();
+        });
+        ['Low', 'Mode', 'High'].forEach(field => {
+            domElements[`${key}${field}`]?.addEventListener('input', debouncedUpdate);
+        });
+        toggleUncertaintyFields(key);
+    });
 
     // Handle preset button clicks
     domElements.presetButtons.forEach(button => {
@@ -82,6 +314,922 @@ function initializeEventListeners() {
     });
 }
 
+/**
+ * Show only the inputs used by the selected population model
+ */
+function togglePopulationModelInputs() {
+    const model = domElements.populationModel?.value || 'constant';
+    if (domElements.startingAgeGroup) {
+        domElements.startingAgeGroup.hidden = model !== 'gompertz';
+    }
+    if (domElements.removalRateGroup) {
+        domElements.removalRateGroup.hidden = model !== 'exponential';
+    }
+}
+
+/**
+ * Show the inputs used by the selected recruitment schedule
+ */
+function toggleRecruitmentInputs() {
+    const model = domElements.recruitmentModel?.value || 'none';
+    if (domElements.recruitsPerYearGroup) {
+        domElements.recruitsPerYearGroup.hidden = model !== 'linear';
+    }
+    if (domElements.turnoverRateGroup) {
+        domElements.turnoverRateGroup.hidden = model !== 'turnover';
+    }
+    if (domElements.recruitmentScheduleGroup) {
+        domElements.recruitmentScheduleGroup.hidden = model !== 'custom';
+    }
+}
+
+/**
+ * Parse "year:count" pairs such as "1:500, 5:2000" into recruitment cohorts
+ * Returns null unless every pair is a valid year and a non-negative count
+ */
+function parseRecruitmentSchedule(text) {
+    const cohorts = (text || '').split(',')
+        .map(pair => pair.trim())
+        .filter(pair => pair)
+        .map(pair => {
+            const [year, count] = pair.split(':').map(value => parseFloat(value));
+            return { year, count };
+        });
+    
+    const valid = cohorts.every(cohort => cohort.year >= 0 && cohort.year <= 1000 && cohort.count >= 0);
+    return valid ? cohorts : null;
+}
+
+/**
+ * Show the parameter inputs for the selected leak hazard model
+ */
+function toggleHazardModelInputs() {
+    const model = domElements.hazardModel?.value || 'constant';
+    if (domElements.weibullGroup) {
+        domElements.weibullGroup.hidden = model !== 'weibull';
+    }
+    if (domElements.hazardErasGroup) {
+        domElements.hazardErasGroup.hidden = model !== 'piecewise';
+    }
+    if (domElements.loyaltyGroup) {
+        domElements.loyaltyGroup.hidden = model !== 'loyalty';
+    }
+}
+
+/**
+ * Parse "start:multiplier" pairs such as "0:2, 5:1, 20:0.5" into hazard eras
+ * Returns null unless every pair is valid, the first era starts at year 0 and the starts increase
+ */
+function parseHazardEras(text) {
+    const eras = (text || '').split(',')
+        .map(pair => pair.trim())
+        .filter(pair => pair)
+        .map(pair => {
+            const [start, multiplier] = pair.split(':').map(value => parseFloat(value));
+            return { start, multiplier };
+        });
+    
+    const valid = eras.length > 0 && eras[0].start === 0 && eras.every((era, index) =>
+        era.start >= 0 && era.multiplier >= 0 && (index === 0 || era.start > eras[index - 1].start));
+    return valid ? eras : null;
+}
+
+/**
+ * Add a conspirator group, seeding the first one from the single-group inputs
+ */
+function addConspiratorGroup() {
+    if (conspiratorGroups.length === 0) {
+        conspiratorGroups.push({
+            name: '',
+            conspirators: parseInt(domElements.conspirators?.value) || 1,
+            professionType: domElements.professionType?.value || 'general'
+        });
+    } else {
+        conspiratorGroups.push({ name: '', conspirators: 100, professionType: 'general' });
+    }
+    
+    renderConspiratorGroups();
+    debouncedUpdate();
+}
+
+/**
+ * Replace all conspirator groups (e.g. when loading a preset)
+ */
+function setConspiratorGroups(groups) {
+    conspiratorGroups = groups.map(group => ({ ...group }));
+    renderConspiratorGroups();
+}
+
+/**
+ * Render the editable list of conspirator groups
+ */
+function renderConspiratorGroups() {
+    const list = domElements.conspiratorGroupsList;
+    if (!list) return;
+    
+    list.innerHTML = '';
+    const professionOptions = domElements.professionType
+        ? Array.from(domElements.professionType.options)
+        : Object.keys(LEAK_RATES).map(type => ({ value: type, textContent: getProfessionName(type) }));
+    
+    conspiratorGroups.forEach((group, index) => {
+        const row = document.createElement('div');
+        row.className = 'group-row';
+        
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.placeholder = `Group ${index + 1}`;
+        nameInput.value = group.name || '';
+        nameInput.setAttribute('aria-label', 'Group name');
+        nameInput.addEventListener('input', function() {
+            group.name = this.value;
+        });
+        
+        const countInput = document.createElement('input');
+        countInput.type = 'number';
+        countInput.min = '1';
+        countInput.max = '10000000';
+        countInput.value = group.conspirators;
+        countInput.setAttribute('aria-label', 'Number of conspirators in group');
+        countInput.addEventListener('input', function() {
+            group.conspirators = Math.max(parseInt(this.value) || 0, 0);
+            syncGroupTotals();
+            debouncedUpdate();
+        });
+        
+        const professionSelect = document.createElement('select');
+        professionSelect.setAttribute('aria-label', 'Type of conspirators in group');
+        professionOptions.forEach(option => {
+            const opt = document.createElement('option');
+            opt.value = option.value;
+            opt.textContent = option.textContent;
+            professionSelect.appendChild(opt);
+        });
+        professionSelect.value = group.professionType;
+        professionSelect.addEventListener('change', function() {
+            group.professionType = this.value;
+            syncGroupTotals();
+            debouncedUpdate();
+        });
+        
+        const share = document.createElement('span');
+        share.className = 'group-share';
+        share.title = 'Share of the insider leak risk';
+        
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'group-remove-btn';
+        removeButton.textContent = '✕';
+        removeButton.setAttribute('aria-label', 'Remove group');
+        removeButton.addEventListener('click', function() {
+            conspiratorGroups.splice(index, 1);
+            renderConspiratorGroups();
+            debouncedUpdate();
+        });
+        
+        row.append(nameInput, countInput, professionSelect, share, removeButton);
+        list.appendChild(row);
+    });
+    
+    syncGroupTotals();
+}
+
+/**
+ * Keep the single-group inputs in step with the groups: they show the total
+ * and are locked while groups are in use
+ */
+function syncGroupTotals() {
+    const hasGroups = conspiratorGroups.length > 0;
+    
+    [domElements.conspirators, domElements.conspiratorsSlider, domElements.professionType].forEach(element => {
+        if (element) element.disabled = hasGroups;
+    });
+    
+    if (!hasGroups) return;
+    
+    const total = conspiratorGroups.reduce((sum, group) => sum + group.conspirators, 0);
+    const largest = conspiratorGroups.reduce((max, group) => group.conspirators > max.conspirators ? group : max);
+    
+    if (domElements.conspirators) {
+        domElements.conspirators.value = total;
+    }
+    if (domElements.conspiratorsSlider) {
+        domElements.conspiratorsSlider.value = Math.min(total, parseInt(domElements.conspiratorsSlider.max));
+    }
+    if (domElements.professionType) {
+        domElements.professionType.value = largest.professionType;
+    }
+}
+
+/**
+ * Show each group's share of the insider leak risk next to its row
+ */
+function updateGroupContributions(contributions) {
+    const shares = domElements.conspiratorGroupsList?.querySelectorAll('.group-share');
+    if (!shares) return;
+    
+    // Contributions only cover the groups the calculation used (see getScenarioOptions),
+    // so step through them alongside the rows, skipping rows with no conspirators
+    let next = 0;
+    shares.forEach((element, index) => {
+        const contribution = conspiratorGroups[index]?.conspirators >= 1 ? contributions[next++] : null;
+        element.textContent = contribution ? `${(contribution.share * 100).toFixed(1)}% of risk` : '';
+    });
+}
+
+/**
+ * Build the default compartmentalized tiers from the current scenario:
+ * a core of up to 50 insiders who know everything, a fifth of the rest as
+ * partial-knowledge staff, and everyone else as unwitting participants
+ */
+function buildDefaultTiers(conspirators, professionType) {
+    const core = Math.min(50, conspirators);
+    const partial = Math.round((conspirators - core) * 0.2);
+    
+    return [
+        { name: 'Core insiders', conspirators: core, professionType: professionType, leakRateMultiplier: 1, leakExposureProbability: 1 },
+        { name: 'Partial-knowledge staff', conspirators: partial, professionType: professionType, leakRateMultiplier: 1, leakExposureProbability: 0.25 },
+        { name: 'Unwitting participants', conspirators: conspirators - core - partial, professionType: 'general', leakRateMultiplier: 1, leakExposureProbability: 0.02 }
+    ];
+}
+
+/**
+ * Reset the tiers to the defaults for the current conspirators and profession
+ */
+function setDefaultTiers() {
+    const conspirators = parseInt(domElements.conspirators?.value) || 1;
+    const professionType = domElements.professionType?.value || 'general';
+    conspiratorTiers = buildDefaultTiers(conspirators, professionType);
+    renderConspiratorTiers();
+}
+
+/**
+ * Show the tier inputs while tiers are enabled; tiers replace the conspirator groups
+ */
+function toggleTierInputs() {
+    const enabled = !!domElements.tiersEnabled?.checked;
+    if (domElements.tiersInputs) {
+        domElements.tiersInputs.hidden = !enabled;
+    }
+    if (domElements.conspiratorGroupsPanel) {
+        domElements.conspiratorGroupsPanel.hidden = enabled;
+    }
+    if (enabled) {
+        syncTierTotals();
+    } else {
+        syncGroupTotals();
+    }
+}
+
+/**
+ * Render the editable list of tiers
+ */
+function renderConspiratorTiers() {
+    const list = domElements.tierList;
+    if (!list) return;
+    
+    list.innerHTML = '';
+    const professionOptions = domElements.professionType
+        ? Array.from(domElements.professionType.options)
+        : Object.keys(LEAK_RATES).map(type => ({ value: type, textContent: getProfessionName(type) }));
+    
+    conspiratorTiers.forEach(tier => {
+        const row = document.createElement('div');
+        row.className = 'tier-row';
+        
+        const name = document.createElement('span');
+        name.className = 'tier-name';
+        name.textContent = tier.name;
+        
+        const countInput = document.createElement('input');
+        countInput.type = 'number';
+        countInput.min = '0';
+        countInput.max = '10000000';
+        countInput.value = tier.conspirators;
+        countInput.setAttribute('aria-label', `People in ${tier.name}`);
+        countInput.addEventListener('input', function() {
+            tier.conspirators = Math.max(parseInt(this.value) || 0, 0);
+            syncTierTotals();
+            debouncedUpdate();
+        });
+        
+        const professionSelect = document.createElement('select');
+        professionSelect.setAttribute('aria-label', `Type of people in ${tier.name}`);
+        professionOptions.forEach(option => {
+            const opt = document.createElement('option');
+            opt.value = option.value;
+            opt.textContent = option.textContent;
+            professionSelect.appendChild(opt);
+        });
+        professionSelect.value = tier.professionType;
+        professionSelect.addEventListener('change', function() {
+            tier.professionType = this.value;
+            debouncedUpdate();
+        });
+        
+        const multiplierInput = document.createElement('input');
+        multiplierInput.type = 'number';
+        multiplierInput.min = '0';
+        multiplierInput.step = '0.1';
+        multiplierInput.value = tier.leakRateMultiplier;
+        multiplierInput.setAttribute('aria-label', `Multiplier on the leak rate of ${tier.name}`);
+        multiplierInput.addEventListener('input', function() {
+            tier.leakRateMultiplier = Math.max(parseFloat(this.value) || 0, 0);
+            debouncedUpdate();
+        });
+        
+        const exposureInput = document.createElement('input');
+        exposureInput.type = 'number';
+        exposureInput.min = '0';
+        exposureInput.max = '100';
+        exposureInput.step = '1';
+        exposureInput.value = +(tier.leakExposureProbability * 100).toFixed(2);
+        exposureInput.setAttribute('aria-label', `Chance a leak from ${tier.name} exposes everything (%)`);
+        exposureInput.addEventListener('input', function() {
+            tier.leakExposureProbability = Math.min(Math.max(parseFloat(this.value) || 0, 0), 100) / 100;
+            debouncedUpdate();
+        });
+        
+        const share = document.createElement('span');
+        share.className = 'group-share';
+        share.title = 'Share of the insider leak risk';
+        
+        row.append(name, countInput, professionSelect, multiplierInput, exposureInput, share);
+        list.appendChild(row);
+    });
+    
+    syncTierTotals();
+}
+
+/**
+ * Keep the conspirator count in step with the tiers: it shows the total and is
+ * locked while tiers are in use
+ */
+function syncTierTotals() {
+    if (!domElements.tiersEnabled?.checked) return;
+    
+    [domElements.conspirators, domElements.conspiratorsSlider, domElements.professionType].forEach(element => {
+        if (element) element.disabled = true;
+    });
+    
+    const total = conspiratorTiers.reduce((sum, tier) => sum + tier.conspirators, 0);
+    if (domElements.conspirators) {
+        domElements.conspirators.value = Math.max(total, 1);
+    }
+    if (domElements.conspiratorsSlider) {
+        domElements.conspiratorsSlider.value = Math.min(Math.max(total, 1), parseInt(domElements.conspiratorsSlider.max));
+    }
+}
+
+/**
+ * Show each tier's share of the insider leak risk and point out the tier that dominates it
+ */
+function updateTierContributions(contributions) {
+    const rows = domElements.tierList?.querySelectorAll('.tier-row');
+    if (!rows) return;
+    
+    const dominant = contributions.reduce((max, contribution) =>
+        (!max || contribution.share > max.share) ? contribution : max, null);
+    
+    rows.forEach((row, index) => {
+        const contribution = contributions.find(c => c.name === conspiratorTiers[index]?.name);
+        row.querySelector('.group-share').textContent = contribution ? `${(contribution.share * 100).toFixed(1)}% of risk` : '—';
+        row.classList.toggle('dominant', !!contribution && contribution === dominant);
+    });
+    
+    if (domElements.tierSummary) {
+        domElements.tierSummary.textContent = dominant && dominant.share > 0
+            ? `${dominant.name} dominate the risk: ${(dominant.share * 100).toFixed(1)}% of the insider leak risk comes from them.`
+            : 'No tier can expose the conspiracy with these settings.';
+    }
+}
+
+/**
+ * Enable only the range fields the selected distribution uses
+ */
+function toggleUncertaintyFields(key) {
+    const type = domElements[`${key}Distribution`]?.value;
+    const usesRange = type !== 'fixed';
+    const usesMode = type === 'fixed' || type === 'triangular';
+    
+    if (domElements[`${key}Low`]) domElements[`${key}Low`].disabled = !usesRange;
+    if (domElements[`${key}High`]) domElements[`${key}High`].disabled = !usesRange;
+    if (domElements[`${key}Mode`]) domElements[`${key}Mode`].disabled = !usesMode;
+}
+
+/**
+ * Fill the uncertainty ranges around the current point estimates
+ */
+function prefillUncertaintyRanges() {
+    const conspirators = parseInt(domElements.conspirators?.value) || 1;
+    const years = parseInt(domElements.yearsActive?.value) || 0;
+    const leakRate = getLeakRate(domElements.professionType?.value || 'general', getScenarioOptions());
+    
+    const ranges = {
+        conspirators: [Math.max(1, Math.round(conspirators / 2)), conspirators, conspirators * 2],
+        years: [Math.round(years * 0.75), years, Math.round(years * 1.25)],
+        leakRate: [leakRate / 2, leakRate, leakRate * 2]
+    };
+    
+    UNCERTAIN_INPUTS.forEach(key => {
+        const [low, mode, high] = ranges[key];
+        if (domElements[`${key}Low`]) domElements[`${key}Low`].value = low;
+        if (domElements[`${key}Mode`]) domElements[`${key}Mode`].value = mode;
+        if (domElements[`${key}High`]) domElements[`${key}High`].value = high;
+    });
+}
+
+/**
+ * Read the uncertainty ranges, or null when they are switched off
+ * Inputs left as a fixed value are omitted so their point estimate is used
+ */
+function getUncertaintySpec() {
+    if (!domElements.uncertaintyEnabled?.checked) return null;
+    
+    const spec = {};
+    UNCERTAIN_INPUTS.forEach(key => {
+        const type = domElements[`${key}Distribution`]?.value || 'fixed';
+        if (type === 'fixed') return;
+        
+        spec[key] = {
+            type: type,
+            min: parseFloat(domElements[`${key}Low`]?.value),
+            mode: parseFloat(domElements[`${key}Mode`]?.value),
+            max: parseFloat(domElements[`${key}High`]?.value)
+        };
+    });
+    
+    return spec;
+}
+
+/**
+ * Show (or hide) the median and 5-95% interval under a result card value
+ */
+function updateResultRange(element, summary, format) {
+    if (!element) return;
+    
+    element.hidden = !summary;
+    if (summary) {
+        element.textContent = `Median ${format(summary.median)} · 90% interval ${format(summary.lower)} – ${format(summary.upper)}`;
+    }
+}
+
+/**
+ * Run the Monte Carlo analysis in the background and show its credible intervals
+ * and the time decay chart's band once it finishes, unless the inputs changed since
+ * @param {object|null} uncertainty - Uncertainty spec, or null when ranges are off
+ */
+function updateMonteCarloResults(conspirators, years, professionType, options, uncertainty) {
+    const run = ++monteCarloRun;
+    const show = monteCarlo => {
+        updateResultRange(domElements.survivalRange, monteCarlo?.logSurvival,
+            logValue => formatProbability(Math.pow(10, logValue), logValue));
+        updateResultRange(domElements.exposureRange, monteCarlo?.exposure, formatProbability);
+        updateResultRange(domElements.expectedTimeRange, monteCarlo?.expectedTime, formatTimeDuration);
+    };
+    
+    // The ranges are hidden until the new ones are ready rather than showing stale ones
+    show(null);
+    if (!uncertainty) return;
+    
+    runMonteCarloInWorker(conspirators, years, professionType, options, uncertainty)
+        .then(monteCarlo => {
+            if (run !== monteCarloRun) return;
+            show(monteCarlo);
+            if (monteCarlo && typeof updateTimeDecayChart === 'function') {
+                updateTimeDecayChart(conspirators, professionType, years, options, monteCarlo.series);
+            }
+        })
+        .catch(error => {
+            if (!error.cancelled) console.error('Monte Carlo analysis failed:', error);
+        });
+}
+
+/**
+ * Show a small probability as "1 in 10^X" odds under its result card
+ */
+function updateResultOdds(element, logProbability) {
+    if (!element) return;
+    
+    // Odds only add anything once the percentage gets hard to read
+    element.hidden = !(logProbability < -2);
+    if (!element.hidden) {
+        element.textContent = `Odds: ${formatOdds(logProbability)}`;
+    }
+}
+
+/**
+ * Split the exposure card's probability into insider leaks and outside discovery
+ */
+function updateExposureBreakdown(breakdown) {
+    if (!domElements.exposureBreakdown) return;
+    
+    domElements.exposureBreakdown.hidden = !(breakdown.discoveryRate > 0);
+    if (!domElements.exposureBreakdown.hidden) {
+        domElements.exposureBreakdown.textContent =
+            `Insider leak ${formatProbability(breakdown.insiderLeak.probability)} · ` +
+            `Outside discovery ${formatProbability(breakdown.outsideDiscovery.probability)}`;
+    }
+}
+
+/**
+ * With the belief stage on, show how likely it is that something has leaked at all,
+ * believed or not, next to the chance of public exposure
+ */
+function updateLeakedProbability(conspirators, years, professionType, options, exposureProb) {
+    if (!domElements.leakedProbability) return;
+    
+    domElements.leakedProbability.hidden = !hasBeliefStage(options);
+    if (!domElements.leakedProbability.hidden) {
+        const leakedProb = calculateLeakProbability(conspirators, years, professionType, options);
+        domElements.leakedProbability.textContent =
+            `Chance it has leaked, believed or not: ${formatProbability(leakedProb)} ` +
+            `(leaked but dismissed: ${formatProbability(Math.max(0, leakedProb - exposureProb))})`;
+    }
+}
+
+/**
+ * Solve for the selected unknown and describe the answer in the solver panel
+ */
+function updateSolverPanel(conspirators, years, professionType, options) {
+    if (!domElements.solverResult) return;
+    
+    const targetPercent = parseFloat(domElements.targetSurvival?.value);
+    if (isNaN(targetPercent) || targetPercent <= 0 || targetPercent >= 100) {
+        domElements.solverResult.textContent = 'Enter a target between 0% and 100%.';
+        return;
+    }
+    
+    const target = targetPercent / 100;
+    const targetText = `${targetPercent}%`;
+    const who = options.groups ? 'conspirators (in the current group proportions)' : getProfessionName(professionType);
+    let message;
+    
+    switch (domElements.solveFor?.value) {
+        case 'years': {
+            const maxYears = solveMaxDuration(target, conspirators, professionType, options);
+            message = maxYears === Infinity
+                ? `${conspirators.toLocaleString()} ${who} never drop below a ${targetText} chance of staying secret.`
+                : `${conspirators.toLocaleString()} ${who} keep at least a ${targetText} chance of staying secret for ${formatTimeDuration(maxYears)}.`;
+            break;
+        }
+        case 'profession': {
+            const solution = solveRequiredProfession(target, conspirators, years, professionType, options);
+            if (!solution) {
+                message = 'Unable to solve for this scenario.';
+                break;
+            }
+            const secretive = solution.professions.filter(p => p.meetsTarget).map(p => getProfessionName(p.professionType));
+            const rate = options.groups
+                ? `leak rates at most ${solution.maxLeakRateScale.toPrecision(3)}× their current values`
+                : `a leak rate of at most ${solution.maxLeakRate.toPrecision(3)} per person per year`;
+            message = `Keeping a ${targetText} chance for ${years} years needs ${rate}. ` +
+                (secretive.length > 0 ? `Secretive enough: ${secretive.join(', ')}.` : 'No profession is secretive enough.');
+            break;
+        }
+        default: {
+            const maxConspirators = solveMaxConspirators(target, years, professionType, options);
+            message = maxConspirators < 1
+                ? `Not even one person could keep a ${targetText} chance of secrecy for ${years} years.`
+                : `At most ${maxConspirators.toLocaleString()} ${who} could keep a ${targetText} chance of secrecy for ${years} years.`;
+        }
+    }
+    
+    domElements.solverResult.textContent = message;
+}
+
+/**
+ * Build the agent simulation scenario from the calculator inputs and simulation settings
+ */
+function getSimulationScenario() {
+    const recruits = parseInt(domElements.simRecruits?.value) || 0;
+    
+    return {
+        conspirators: parseInt(domElements.conspirators?.value) || 1,
+        years: parseFloat(domElements.yearsActive?.value) || 0,
+        professionType: domElements.professionType?.value || 'government',
+        options: getScenarioOptions(),
+        replicates: parseInt(domElements.simReplicates?.value) || SIMULATION_DEFAULTS.replicates,
+        defectionRate: parseFloat(domElements.simDefectionRate?.value) || 0,
+        retirementRate: (parseFloat(domElements.simRetirementRate?.value) || 0) / 100,
+        startingAge: parseFloat(domElements.simStartingAge?.value) || SIMULATION_DEFAULTS.startingAge,
+        mortality: !!domElements.simMortality?.checked,
+        recruits: recruits > 0
+            ? [{ year: parseFloat(domElements.simRecruitYear?.value) || 0, count: recruits }]
+            : []
+    };
+}
+
+/**
+ * Run the agent simulation in the background and show how it compares with the formula
+ */
+async function handleRunSimulation() {
+    const scenario = getSimulationScenario();
+    
+    if (domElements.simulationStatus) {
+        domElements.simulationStatus.textContent = 'Simulating...';
+    }
+    
+    try {
+        const result = await runAgentSimulationInWorker(scenario, progress => {
+            if (domElements.simulationStatus) {
+                domElements.simulationStatus.textContent = `Simulating... ${Math.round(progress * 100)}%`;
+            }
+        });
+        
+        const simulated = `${formatProbability(result.survival)} ± ${formatProbability(result.standardError)}`;
+        let comparison;
+        if (result.closedForm === null) {
+            comparison = 'The formula can\'t describe this scenario (recruits joining later, or deaths and retirements together).';
+        } else {
+            const difference = Math.abs(result.survival - result.closedForm);
+            const withinError = difference <= 2 * Math.max(result.standardError, 1 / result.replicates);
+            comparison = `Formula: ${formatProbability(result.closedForm)} — ` +
+                (withinError ? 'agrees within the simulation error.' : 'outside two standard errors of the simulation.');
+        }
+        const exposed = result.causes.leak + result.causes.defection + result.causes.discovery;
+        const causes = exposed > 0
+            ? ` Of the exposures, ${formatProbability(result.causes.defection / exposed)} came from defectors` +
+                ` and ${formatProbability(result.causes.discovery / exposed)} from outside discovery.`
+            : '';
+        
+        if (domElements.simulationResult) {
+            domElements.simulationResult.hidden = false;
+            domElements.simulationResult.textContent =
+                `Simulated chance of staying secret for ${scenario.years} years: ${simulated}. ${comparison}${causes}`;
+        }
+        if (domElements.simulationStatus) {
+            domElements.simulationStatus.textContent =
+                `${result.replicates.toLocaleString()} replicates of ${result.agents.toLocaleString()} agents` +
+                (result.replicates < scenario.replicates ? ' (fewer replicates to keep a large scenario manageable).' : '.');
+        }
+        if (domElements.simulationChartContainer) {
+            domElements.simulationChartContainer.hidden = false;
+        }
+        if (typeof updateSimulationChart === 'function') {
+            updateSimulationChart(result);
+        }
+    } catch (error) {
+        if (error.cancelled) return; // A newer run replaced this one
+        console.error('Error running agent simulation:', error);
+        if (domElements.simulationStatus) {
+            domElements.simulationStatus.textContent = `Could not run the simulation: ${error.message}`;
+        }
+    }
+}
+
+/**
+ * Fit leak rates to a dataset and show the result in the calibration table
+ */
+function setCalibrationDataset(dataset, sourceName) {
+    try {
+        calibrationFit = fitLeakRates(dataset);
+        calibrationDataset = dataset;
+        
+        if (domElements.calibrationStatus) {
+            domElements.calibrationStatus.textContent =
+                `Fitted to ${dataset.length} record${dataset.length !== 1 ? 's' : ''} from ${sourceName}. Professions without any exposures keep their default rate.`;
+        }
+        renderCalibrationTable();
+    } catch (error) {
+        console.error('Error fitting leak rates:', error);
+        if (domElements.calibrationStatus) {
+            domElements.calibrationStatus.textContent = `Could not fit leak rates: ${error.message}`;
+        }
+    }
+}
+
+/**
+ * Read an imported CSV or JSON benchmark file and refit the leak rates
+ */
+async function handleBenchmarkImport(event) {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    
+    try {
+        const text = await file.text();
+        const isJSON = file.name.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+        const dataset = isJSON ? parseBenchmarkJSON(text) : parseBenchmarkCSV(text);
+        setCalibrationDataset(dataset, file.name);
+        debouncedUpdate();
+    } catch (error) {
+        console.error('Error importing benchmarks:', error);
+        if (domElements.calibrationStatus) {
+            domElements.calibrationStatus.textContent = `Could not import ${file.name}: ${error.message}`;
+        }
+    } finally {
+        event.target.value = ''; // Allow re-importing the same file
+    }
+}
+
+/**
+ * Render default versus fitted leak rates for every profession
+ */
+function renderCalibrationTable() {
+    const body = domElements.calibrationTableBody;
+    if (!body || !calibrationFit) return;
+    
+    body.innerHTML = Object.keys(LEAK_RATES).map(type => {
+        const estimate = calibrationFit.estimates[type];
+        const fitted = estimate && estimate.exposures > 0
+            ? `<td>${estimate.leakRate.toPrecision(3)}</td>
+               <td>${estimate.lower.toPrecision(3)} – ${estimate.upper.toPrecision(3)}</td>`
+            : `<td class="no-data" colspan="2">${estimate ? 'No exposures - upper bound ' + estimate.upper.toPrecision(3) : 'No data'}</td>`;
+        
+        return `<tr>
+            <td>${sanitizeHTML(getProfessionName(type))}</td>
+            <td>${LEAK_RATES[type]}</td>
+            ${fitted}
+            <td>${estimate ? estimate.exposures : 0}</td>
+            <td>${estimate ? Math.round(estimate.personYears).toLocaleString() : 0}</td>
+        </tr>`;
+    }).join('');
+}
+
+/**
+ * Read the whistleblower incentive inputs, falling back to the defaults
+ */
+function getIncentiveInputs() {
+    const readPercent = (element, fallback) => {
+        const percent = parseFloat(element?.value);
+        return isNaN(percent) ? fallback : Math.min(Math.max(percent, 0), 100) / 100;
+    };
+    
+    return {
+        rewardSize: Math.max(parseFloat(domElements.rewardSize?.value) || 0, 0),
+        prosecutionRisk: readPercent(domElements.prosecutionRisk, INCENTIVE_DEFAULTS.prosecutionRisk),
+        whistleblowerProtection: readPercent(domElements.whistleblowerProtection, INCENTIVE_DEFAULTS.whistleblowerProtection)
+    };
+}
+
+/**
+ * Show how the incentives change each profession's leak rate
+ */
+function renderIncentiveTable(options) {
+    const body = domElements.incentiveTableBody;
+    if (!body) return;
+    
+    // Preview the adjustment even while it isn't applied to the results
+    const previewOptions = { ...options, incentives: getIncentiveInputs() };
+    const factors = getIncentiveFactors(previewOptions);
+    
+    body.innerHTML = calculateAdjustedLeakRates(previewOptions).map(rate => {
+        const change = rate.baseRate > 0 ? (rate.adjustedRate / rate.baseRate - 1) * 100 : 0;
+        return `<tr>
+            <td>${sanitizeHTML(getProfessionName(rate.professionType))}</td>
+            <td>${rate.baseRate.toPrecision(3)}</td>
+            <td>${rate.adjustedRate.toPrecision(3)}</td>
+            <td>${change >= 0 ? '+' : ''}${change.toFixed(0)}%</td>
+        </tr>`;
+    }).join('');
+    
+    if (domElements.incentiveSummary) {
+        domElements.incentiveSummary.textContent =
+            `Leak rates × ${factors.total.toFixed(2)} (reward × ${factors.reward.toFixed(2)}, ` +
+            `prosecution × ${factors.prosecution.toFixed(2)}, protection × ${factors.protection.toFixed(2)})` +
+            (options.incentives ? '.' : ' - not applied until "Use adjusted rates" is ticked.');
+    }
+}
+
+/**
+ * List each input's range, the survival at either end and its elasticity
+ */
+function renderSensitivityTable(analysis) {
+    const body = domElements.sensitivityTableBody;
+    if (!body) return;
+    
+    if (!analysis) {
+        body.innerHTML = '<tr><td colspan="5" class="no-data">Sensitivity analysis unavailable for these inputs</td></tr>';
+        return;
+    }
+    
+    const formatSurvival = logValue => formatProbability(Math.pow(10, logValue), logValue);
+    body.innerHTML = analysis.inputs.map(input => `<tr>
+            <td>${sanitizeHTML(input.label)}</td>
+            <td>${formatSensitivityValue(input.low)} – ${formatSensitivityValue(input.high)}</td>
+            <td>${formatSurvival(input.logSurvivalLow)}</td>
+            <td>${formatSurvival(input.logSurvivalHigh)}</td>
+            <td>${input.elasticity === null ? '—' : formatSensitivityValue(input.elasticity)}</td>
+        </tr>`).join('');
+}
+
+/**
+ * Summarize the distribution of the time to first leak under its chart
+ */
+function updateFirstLeakSummary(conspirators, years, professionType, options) {
+    if (!domElements.firstLeakSummary) return;
+    
+    const median = calculateMedianFirstLeakTime(conspirators, professionType, options);
+    const mean = calculateMeanFirstLeakTime(conspirators, professionType, options);
+    const q90 = calculateFirstLeakQuantile(0.9, conspirators, professionType, options);
+    const expectedLeaks = calculateExpectedLeaks(conspirators, years, professionType, options);
+    const atLeastTwo = calculateProbabilityOfLeaks(2, conspirators, years, professionType, options);
+    
+    const timing = isFinite(median)
+        ? `Median first leak after ${formatTimeDuration(median)}, ` +
+            (mean.isLowerBound ? `mean more than ${formatTimeDuration(mean.mean)}` : `mean ${formatTimeDuration(mean.mean)}`) +
+            (isFinite(q90) ? `; 90% chance of a leak within ${formatTimeDuration(q90)}.` : '.')
+        : 'More likely than not, nobody ever leaks.';
+    
+    domElements.firstLeakSummary.textContent =
+        `${timing} By year ${years}: ${expectedLeaks.toLocaleString(undefined, { maximumSignificantDigits: 3 })} leaks expected, ${formatProbability(atLeastTwo)} chance of two or more.`;
+}
+
+/**
+ * Read the model options that apply on top of conspirators, years and profession
+ */
+function getScenarioOptions() {
+    const options = {
+        populationModel: domElements.populationModel?.value || 'constant'
+    };
+    
+    if (domElements.useFittedRates?.checked && calibrationFit) {
+        options.leakRates = { ...calibrationFit.rateSet };
+    }
+    if (domElements.useIncentives?.checked) {
+        options.incentives = getIncentiveInputs();
+    }
+    
+    const tiers = domElements.tiersEnabled?.checked
+        ? conspiratorTiers.filter(tier => tier.conspirators >= 1)
+        : [];
+    const groups = conspiratorGroups.filter(group => group.conspirators >= 1);
+    if (tiers.length > 0) {
+        options.groups = tiers.map(tier => ({ ...tier }));
+    } else if (groups.length > 0) {
+        options.groups = groups.map(group => ({
+            name: group.name,
+            conspirators: group.conspirators,
+            professionType: group.professionType
+        }));
+    }
+    
+    if (options.populationModel === 'gompertz') {
+        const startingAge = parseFloat(domElements.startingAge?.value);
+        if (!isNaN(startingAge)) options.startingAge = startingAge;
+    } else if (options.populationModel === 'exponential') {
+        const removalRate = parseFloat(domElements.removalRate?.value);
+        if (!isNaN(removalRate)) options.removalRate = removalRate;
+    }
+    
+    options.recruitmentModel = domElements.recruitmentModel?.value || 'none';
+    if (options.recruitmentModel === 'linear') {
+        const recruitsPerYear = parseFloat(domElements.recruitsPerYear?.value);
+        if (recruitsPerYear >= 0) options.recruitsPerYear = recruitsPerYear;
+    } else if (options.recruitmentModel === 'turnover') {
+        const turnoverRate = parseFloat(domElements.turnoverRate?.value);
+        if (turnoverRate >= 0) options.turnoverRate = turnoverRate;
+    } else if (options.recruitmentModel === 'custom') {
+        const schedule = parseRecruitmentSchedule(domElements.recruitmentSchedule?.value);
+        if (schedule) options.recruitmentSchedule = schedule;
+        domElements.recruitmentSchedule?.classList.toggle('invalid', !schedule);
+    }
+    
+    options.hazardModel = domElements.hazardModel?.value || 'constant';
+    if (options.hazardModel === 'weibull') {
+        const shape = parseFloat(domElements.weibullShape?.value);
+        const scale = parseFloat(domElements.weibullScale?.value);
+        if (shape > 0) options.weibullShape = shape;
+        if (scale > 0) options.weibullScale = scale;
+    } else if (options.hazardModel === 'piecewise') {
+        const eras = parseHazardEras(domElements.hazardEras?.value);
+        if (eras) options.hazardEras = eras;
+        domElements.hazardEras?.classList.toggle('invalid', !eras);
+    } else if (options.hazardModel === 'loyalty') {
+        const decayRate = parseFloat(domElements.loyaltyDecayRate?.value);
+        const ceiling = parseFloat(domElements.loyaltyCeiling?.value);
+        if (decayRate >= 0) options.loyaltyDecayRate = decayRate;
+        if (ceiling >= 0) options.loyaltyCeiling = ceiling;
+    }
+    
+    const populationAffected = parseFloat(domElements.populationAffected?.value);
+    if (populationAffected > 0) {
+        options.populationAffected = populationAffected;
+        const discoveryRate = parseFloat(domElements.discoveryRate?.value);
+        if (!isNaN(discoveryRate) && discoveryRate >= 0) options.discoveryRate = discoveryRate;
+    }
+    
+    if (domElements.beliefEnabled?.checked) {
+        const toProbability = element => {
+            const percent = parseFloat(element?.value);
+            return isNaN(percent) ? null : Math.min(Math.max(percent, 0), 100) / 100;
+        };
+        options.beliefProbability = toProbability(domElements.beliefProbability) ?? 1;
+        
+        const decayRate = parseFloat(domElements.beliefDecayRate?.value);
+        if (!isNaN(decayRate) && decayRate >= 0) options.beliefDecayRate = decayRate;
+        
+        const byProfession = {};
+        BELIEF_PROFESSIONS.forEach(type => {
+            const probability = toProbability(domElements[`${type}Belief`]);
+            if (probability !== null) byProfession[type] = probability;
+        });
+        if (Object.keys(byProfession).length > 0) options.beliefProbabilities = byProfession;
+    }
+    
+    return options;
+}
+
 /**
  * Debounced update function to prevent excessive calculations
  */
@@ -136,10 +1284,14 @@ function getCredibilityFromProbability(probability) {
 
 /**
  * Handle Perplexity API query with proper error handling
+ * @param {boolean} refresh - Ask for a fresh analysis instead of a cached one
  */
-async function handlePerplexityQuery() {
+async function handlePerplexityQuery(refresh = false) {
     console.log('handlePerplexityQuery called');
     
+    // Still waiting out a rate limit
+    if (rateLimitTimer) return;
+    
     const name = domElements.conspiracyName?.value?.trim();
     const desc = domElements.conspiracyDescription?.value?.trim();
     
@@ -160,24 +1312,28 @@ async function handlePerplexityQuery() {
     updateCredibilityStatus('Assessing', 'Analyzing conspiracy theory details...');
     
     domElements.perplexityBtn.disabled = true;
-    domElements.perplexityResults.innerHTML = '<div class="loading">🧠 Analyzing with Perplexity AI Sonar Reasoning...</div>';
+    domElements.perplexityResults.innerHTML = '<div class="loading">🧠 Analyzing with AI...</div>';
     
     try {
         console.log('Updating status to Awaiting response');
         // Update status: Awaiting response
-        updateCredibilityStatus('Awaiting response', 'Contacting Perplexity AI for analysis...');
+        updateCredibilityStatus('Awaiting response', 'Contacting the AI service for analysis...');
         
         console.log('Checking if queryPerplexity exists:', typeof window.queryPerplexity);
         if (!window.queryPerplexity) {
             throw new Error('Perplexity API function not loaded');
         }
         
-        const result = await window.queryPerplexity(name, desc);
-        const answer = result.choices?.[0]?.message?.content || 'No analysis received.';
+        const result = await window.queryPerplexity(name, desc, refresh);
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        const answer = result.analysis || 'No analysis received.';
+        const estimates = result.estimates || null;
         
         // Sanitize and format the response
         const sanitizedAnswer = sanitizeHTML(answer);
-        const footnotes = extractFootnotes(answer);
+        const footnotes = formatSources(estimates?.sources || [], result.citations || []);
         
         // Parse the structured response and format it nicely
         const formattedAnswer = formatPerplexityResponse(sanitizedAnswer);
@@ -186,15 +1342,21 @@ async function handlePerplexityQuery() {
             <div class="perplexity-result">
                 <div class="result-header">
                     <h4>🧠 AI Analysis Results</h4>
-                    <span class="model-tag">Powered by Perplexity Sonar Reasoning</span>
+                    <span class="model-tag">Powered by ${sanitizeHTML(result.provider || 'AI')}${result.model ? ` (${sanitizeHTML(result.model)})` : ''}</span>
                 </div>
+                ${estimates ? '<div class="estimate-review"></div>' + formatKeyClaims(estimates) : '<p class="helper-text">No structured estimates were returned, so the calculator inputs were left unchanged.</p>'}
+                ${result.cached ? formatCachedNotice(result.cachedAt) : ''}
                 <div class="answer-content">${formattedAnswer}</div>
                 ${footnotes ? `<div class="sources"><strong>🔗 Sources:</strong><br>${footnotes}</div>` : ''}
             </div>
         `;
         
-        // Extract scale estimates from AI response and update inputs
-        extractAndApplyScaleEstimates(answer);
+        domElements.perplexityResults.querySelector('.refresh-analysis-btn')
+            ?.addEventListener('click', () => handlePerplexityQuery(true));
+        
+        // Offer the structured estimates for review instead of applying them
+        estimateReview = estimates ? startEstimateReview(estimates) : null;
+        renderEstimateReview();
         
         // Analyze response to determine credibility
         const credibility = analyzePerplexityResponse(answer);
@@ -202,13 +1364,59 @@ async function handlePerplexityQuery() {
         
     } catch (error) {
         console.error('Perplexity API error:', error);
-        showErrorMessage(`Error: ${error.message}`, domElements.perplexityResults);
-        updateCredibilityStatus('Error', 'Unable to complete analysis. Please try again.');
+        if (error.retryAfter) {
+            startRateLimitCountdown(error.message, error.retryAfter);
+            updateCredibilityStatus('Error', 'Too many analysis requests. Please wait and try again.');
+        } else {
+            showErrorMessage(`Error: ${sanitizeHTML(error.message)}`, domElements.perplexityResults);
+            updateCredibilityStatus('Error', 'Unable to complete analysis. Please try again.');
+        }
     } finally {
-        domElements.perplexityBtn.disabled = false;
+        // The countdown re-enables the button when it runs out
+        domElements.perplexityBtn.disabled = rateLimitTimer !== null;
     }
 }
 
+/**
+ * Format a wait in seconds as m:ss, or h:mm:ss for an hour or more
+ */
+function formatCountdown(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = String(seconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Show a rate limit error with a countdown to when the analysis can be tried
+ * again, keeping the analyze button disabled until then
+ * @param {string} message - Error message from the function
+ * @param {number} retryAfter - Seconds to wait, from the Retry-After header
+ */
+function startRateLimitCountdown(message, retryAfter) {
+    clearInterval(rateLimitTimer);
+    showErrorMessage(`${sanitizeHTML(message)} <span class="retry-countdown"></span>`, domElements.perplexityResults);
+    
+    const countdown = domElements.perplexityResults?.querySelector('.retry-countdown');
+    const until = Date.now() + retryAfter * 1000;
+    
+    const tick = () => {
+        const remaining = Math.ceil((until - Date.now()) / 1000);
+        if (remaining <= 0) {
+            clearInterval(rateLimitTimer);
+            rateLimitTimer = null;
+            domElements.perplexityBtn.disabled = false;
+            if (countdown) countdown.textContent = 'You can try again now.';
+            return;
+        }
+        domElements.perplexityBtn.disabled = true;
+        if (countdown) countdown.textContent = `Try again in ${formatCountdown(remaining)}.`;
+    };
+    
+    rateLimitTimer = setInterval(tick, 1000);
+    tick();
+}
+
 /**
  * Show error messages in a consistent format
  */
@@ -253,138 +1461,210 @@ function formatPerplexityResponse(text) {
 }
 
 /**
- * Extract scale estimates from Perplexity response and update inputs
+ * Note that an analysis came from the function's cache, with a button to
+ * ask for a fresh one
+ * @param {string} cachedAt - ISO timestamp of the cached analysis
  */
-function extractAndApplyScaleEstimates(text) {
-    const lowerText = text.toLowerCase();
-    
-    // Extract number of conspirators
-    let conspirators = null;
-    
-    // Look for explicit numbers first
-    const conspiratorPatterns = [
-        /(\d{1,3}(?:,\d{3})*)\s*(?:people|conspirators|individuals|employees|workers)/i,
-        /(?:tens of thousands|10,?000s?)\s*(?:of\s+)?(?:people|conspirators)/i,
-        /(?:hundreds of thousands|100,?000s?)\s*(?:of\s+)?(?:people|conspirators)/i,
-        /(?:thousands|1,?000s?)\s*(?:of\s+)?(?:people|conspirators)/i,
-        /(?:hundreds|100s?)\s*(?:of\s+)?(?:people|conspirators)/i,
-        /(?:millions)\s*(?:of\s+)?(?:people|conspirators)/i,
-    ];
-    
-    for (const pattern of conspiratorPatterns) {
-        const match = text.match(pattern);
-        if (match) {
-            if (match[1]) {
-                // Direct number found
-                conspirators = parseInt(match[1].replace(/,/g, ''));
-            } else if (match[0].includes('millions')) {
-                conspirators = 1000000;
-            } else if (match[0].includes('hundreds of thousands')) {
-                conspirators = 100000;
-            } else if (match[0].includes('tens of thousands')) {
-                conspirators = 50000;
-            } else if (match[0].includes('thousands')) {
-                conspirators = 5000;
-            } else if (match[0].includes('hundreds')) {
-                conspirators = 500;
-            }
-            break;
-        }
-    }
+function formatCachedNotice(cachedAt) {
+    const date = new Date(cachedAt);
+    const when = isNaN(date) ? 'earlier' : `on ${date.toLocaleString()}`;
+    return `
+        <div class="cached-notice">
+            <span>🗄️ Cached analysis from ${when}</span>
+            <button type="button" class="secondary-btn refresh-analysis-btn">↻ Refresh analysis</button>
+        </div>
+    `;
+}
+
+/**
+ * List the key claims returned with the AI analysis
+ * @param {object} estimates - Validated estimates from the Perplexity function
+ * @returns {string} HTML for the claims, empty if there are none
+ */
+function formatKeyClaims(estimates) {
+    const claims = (estimates.keyClaims || []).map(item =>
+        `<li><strong>${sanitizeHTML(item.claim)}</strong>${item.basis ? ` — ${sanitizeHTML(item.basis)}` : ''}</li>`
+    ).join('');
     
-    // Extract years/duration
-    let years = null;
+    return claims ? `<div class="estimates-summary"><h5>Key claims</h5><ul>${claims}</ul></div>` : '';
+}
+
+/**
+ * Set up the review of a new set of AI estimates, remembering the current
+ * inputs so they can be restored later
+ * @param {object} estimates - Validated estimates from the Perplexity function
+ * @returns {object} The review state ({proposed, evidence, status, snapshot})
+ */
+function startEstimateReview(estimates) {
+    const review = { proposed: {}, evidence: {}, status: {}, snapshot: {} };
     
-    const yearPatterns = [
-        /(?:over|nearly|about|approximately|for)\s+(\d+)\s+years/i,
-        /(\d+)\s+years?\s+(?:ago|old|active|duration)/i,
-        /since\s+(?:at least\s+)?(\d{4})/i,
-        /(?:from|since)\s+(\d{4})\s+to\s+(?:present|today|\d{4})/i,
-        /(?:nearly\s+)?(?:a\s+)?century/i,
-        /(?:several|multiple)\s+decades/i,
-    ];
+    Object.entries(ESTIMATE_FIELDS).forEach(([key, field]) => {
+        const value = field.extract(estimates);
+        if (value === null || value === undefined) return;
+        
+        review.proposed[key] = value;
+        review.evidence[key] = estimates.evidence?.[field.evidence] || { quote: '', confidence: estimates.confidence || 'low' };
+        review.status[key] = 'pending';
+        review.snapshot[key] = field.read();
+    });
     
-    for (const pattern of yearPatterns) {
-        const match = text.match(pattern);
-        if (match) {
-            if (match[1]) {
-                const num = parseInt(match[1]);
-                if (num > 1900 && num < 2100) {
-                    // It's a year, calculate duration
-                    years = new Date().getFullYear() - num;
-                } else {
-                    years = num;
-                }
-            } else if (match[0].includes('century')) {
-                years = 85;
-            } else if (match[0].includes('decades')) {
-                years = 40;
-            }
-            break;
+    return review;
+}
+
+/**
+ * Accept or reject one AI estimate. Accepting writes the AI value to the
+ * input; rejecting an accepted estimate restores the pre-analysis value.
+ * @param {string} key - Key in ESTIMATE_FIELDS
+ * @param {string} status - 'accepted' or 'rejected'
+ */
+function setEstimateStatus(key, status) {
+    try {
+        if (!estimateReview || !(key in estimateReview.proposed)) return;
+        
+        const field = ESTIMATE_FIELDS[key];
+        if (status === 'accepted') {
+            field.write(estimateReview.proposed[key]);
+        } else if (estimateReview.status[key] === 'accepted') {
+            field.write(estimateReview.snapshot[key]);
         }
+        estimateReview.status[key] = status;
+        
+        updateCalculations();
+        renderEstimateReview();
+    } catch (error) {
+        console.error('Error applying estimate:', error);
     }
+}
+
+/**
+ * Accept every AI estimate that has not been accepted yet
+ */
+function applyAllEstimates() {
+    if (!estimateReview) return;
     
-    // Extract population affected
-    let populationAffected = null;
+    Object.keys(estimateReview.proposed)
+        .filter(key => estimateReview.status[key] !== 'accepted')
+        .forEach(key => {
+            ESTIMATE_FIELDS[key].write(estimateReview.proposed[key]);
+            estimateReview.status[key] = 'accepted';
+        });
     
-    const populationPatterns = [
-        /(?:billions?\s+of\s+)?(?:people|population)/i,
-        /(?:millions?\s+of\s+)?(?:people|affected)/i,
-        /(?:global|worldwide|entire\s+world)/i,
-        /(\d{1,3}(?:,\d{3})*)\s*(?:people|affected|population)/i,
-    ];
+    updateCalculations();
+    renderEstimateReview();
+}
+
+/**
+ * Put back the pre-analysis value of every accepted estimate and return the
+ * estimates to review
+ */
+function revertEstimates() {
+    if (!estimateReview) return;
     
-    if (lowerText.includes('billions') || lowerText.includes('global') || 
-        lowerText.includes('worldwide') || lowerText.includes('entire world')) {
-        populationAffected = 8000000000;
-    } else if (lowerText.includes('millions')) {
-        populationAffected = 10000000;
-    }
+    // Registry order, so the conspirator count is restored before the profession
+    Object.keys(ESTIMATE_FIELDS)
+        .filter(key => estimateReview.status[key] === 'accepted')
+        .forEach(key => {
+            ESTIMATE_FIELDS[key].write(estimateReview.snapshot[key]);
+            estimateReview.status[key] = 'pending';
+        });
     
-    // Extract profession type based on content
-    let professionType = 'general';
+    updateCalculations();
+    renderEstimateReview();
+}
+
+/**
+ * Render the review panel: each AI estimate next to the current value, the
+ * sentence of the analysis it came from and its confidence, with
+ * accept/reject buttons, "apply all" and a revert to the pre-analysis values
+ */
+function renderEstimateReview() {
+    const container = domElements.perplexityResults?.querySelector('.estimate-review');
+    if (!container) return;
     
-    if (lowerText.includes('scientist') || lowerText.includes('researcher') || lowerText.includes('academic')) {
-        professionType = 'scientists';
-    } else if (lowerText.includes('intelligence') || lowerText.includes('cia') || lowerText.includes('fbi') || lowerText.includes('spy')) {
-        professionType = 'intelligence';
-    } else if (lowerText.includes('government') || lowerText.includes('bureaucrat') || lowerText.includes('official')) {
-        professionType = 'government';
-    } else if (lowerText.includes('military') || lowerText.includes('army') || lowerText.includes('navy') || lowerText.includes('air force')) {
-        professionType = 'military';
-    } else if (lowerText.includes('corporate') || lowerText.includes('company') || lowerText.includes('business') || lowerText.includes('employee')) {
-        professionType = 'corporate';
+    container.innerHTML = '';
+    const keys = estimateReview ? Object.keys(estimateReview.proposed) : [];
+    if (keys.length === 0) {
+        container.innerHTML = '<p class="helper-text">The analysis gave no usable estimates of scale, duration or population, so the calculator inputs were left unchanged.</p>';
+        return;
     }
     
-    console.log('Extracted scale estimates:', { conspirators, years, populationAffected, professionType });
+    const heading = document.createElement('h5');
+    heading.textContent = 'Review AI estimates before applying them';
     
-    // Apply extracted values to inputs
-    if (conspirators !== null && domElements.conspirators) {
-        domElements.conspirators.value = conspirators;
-        if (domElements.conspiratorsSlider) {
-            domElements.conspiratorsSlider.value = Math.min(conspirators, parseInt(domElements.conspiratorsSlider.max) || 10000);
-        }
-    }
+    const table = document.createElement('table');
+    table.className = 'calibration-table review-table';
+    const headerRow = table.createTHead().insertRow();
+    ['Input', 'AI estimate', 'Current value', 'From the analysis', 'Confidence', ''].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headerRow.appendChild(th);
+    });
     
-    if (years !== null && domElements.yearsActive) {
-        domElements.yearsActive.value = years;
-        if (domElements.yearsActiveSlider) {
-            domElements.yearsActiveSlider.value = Math.min(years, parseInt(domElements.yearsActiveSlider.max) || 100);
+    const body = table.createTBody();
+    keys.forEach(key => {
+        const field = ESTIMATE_FIELDS[key];
+        const status = estimateReview.status[key];
+        const proposed = estimateReview.proposed[key];
+        const current = field.read();
+        const evidence = estimateReview.evidence[key];
+        
+        const row = body.insertRow();
+        row.className = `review-${status}`;
+        
+        row.insertCell().textContent = field.label;
+        
+        const proposedCell = row.insertCell();
+        proposedCell.className = 'review-proposed';
+        proposedCell.textContent = field.format(proposed);
+        
+        const currentCell = row.insertCell();
+        currentCell.textContent = field.format(current);
+        if (JSON.stringify(current) !== JSON.stringify(proposed)) {
+            currentCell.className = 'review-changed';
         }
-    }
+        
+        const quoteCell = row.insertCell();
+        quoteCell.className = 'review-quote';
+        quoteCell.textContent = evidence.quote ? `“${evidence.quote}”` : '—';
+        
+        const confidence = document.createElement('span');
+        confidence.className = `confidence-tag ${evidence.confidence}`;
+        confidence.textContent = evidence.confidence;
+        row.insertCell().appendChild(confidence);
+        
+        const actions = row.insertCell();
+        actions.className = 'review-actions';
+        [['accepted', '✓ Accept'], ['rejected', '✕ Reject']].forEach(([value, text]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'secondary-btn';
+            button.textContent = text;
+            button.disabled = status === value;
+            button.setAttribute('aria-label', `${value === 'accepted' ? 'Accept' : 'Reject'} ${field.label.toLowerCase()}`);
+            button.addEventListener('click', () => setEstimateStatus(key, value));
+            actions.appendChild(button);
+        });
+    });
     
-    if (populationAffected !== null && domElements.populationAffected) {
-        domElements.populationAffected.value = populationAffected;
-    }
+    const applyAllButton = document.createElement('button');
+    applyAllButton.type = 'button';
+    applyAllButton.className = 'secondary-btn';
+    applyAllButton.textContent = 'Apply all';
+    applyAllButton.disabled = keys.every(key => estimateReview.status[key] === 'accepted');
+    applyAllButton.addEventListener('click', applyAllEstimates);
     
-    if (professionType && domElements.professionType) {
-        domElements.professionType.value = professionType;
-    }
+    const revertButton = document.createElement('button');
+    revertButton.type = 'button';
+    revertButton.className = 'secondary-btn';
+    revertButton.textContent = '↺ Revert to pre-analysis values';
+    revertButton.disabled = !keys.some(key => estimateReview.status[key] === 'accepted');
+    revertButton.addEventListener('click', revertEstimates);
     
-    // Trigger recalculation with new values
-    updateCalculations();
+    const buttons = document.createElement('div');
+    buttons.className = 'review-buttons';
+    buttons.append(applyAllButton, revertButton);
     
-    return { conspirators, years, populationAffected, professionType };
+    container.append(heading, table, buttons);
 }
 
 /**
@@ -426,12 +1706,21 @@ function analyzePerplexityResponse(text) {
 }
 
 /**
- * Extract and format footnotes from text
+ * Format the sources named in the estimates and the search citations as links,
+ * without duplicates
+ * @param {Array} sources - [{title, url}] from the structured estimates
+ * @param {Array} citations - URLs the search used
  */
-function extractFootnotes(text) {
-    const urlRegex = /https?:\/\/[^\s)]+/g;
-    const urls = text.match(urlRegex) || [];
-    return urls.map(url => `<a href="${url}" target="_blank" rel="noopener">${url}</a>`).join('<br>');
+function formatSources(sources, citations) {
+    const links = new Map();
+    sources.forEach(source => links.set(source.url, source.title || source.url));
+    citations
+        .filter(url => typeof url === 'string' && /^https?:\/\//.test(url) && !links.has(url))
+        .forEach(url => links.set(url, url));
+    
+    return Array.from(links, ([url, title]) =>
+        `<a href="${sanitizeHTML(url).replace(/"/g, '&quot;')}" target="_blank" rel="noopener">${sanitizeHTML(title)}</a>`
+    ).join('<br>');
 }
 
 /**
@@ -464,6 +1753,11 @@ function loadPreset(presetId) {
         if (domElements.populationAffected) {
             domElements.populationAffected.value = preset.populationAffected;
         }
+        setConspiratorGroups(preset.groups || []);
+        if (domElements.tiersEnabled?.checked) {
+            setDefaultTiers();
+        }
+        prefillUncertaintyRanges();
 
         // Highlight active button
         domElements.presetButtons.forEach(btn => btn.classList.remove('active'));
@@ -521,7 +1815,7 @@ function updateCalculations() {
         const conspirators = parseInt(domElements.conspirators?.value) || 0;
         const professionType = domElements.professionType?.value || 'general';
         const years = parseInt(domElements.yearsActive?.value) || 0;
-        const populationAffected = parseInt(domElements.populationAffected?.value) || 0;
+        const options = getScenarioOptions();
 
         // Validate inputs
         if (conspirators < 1 || years < 0) {
@@ -530,26 +1824,53 @@ function updateCalculations() {
         }
 
         // Calculate probabilities with error handling
-        const survivalProb = calculateSurvivalProbability(conspirators, years, professionType);
-        const exposureProb = calculateExposureProbability(conspirators, years, professionType);
-        const expectedTime = calculateExpectedTimeUntilExposure(conspirators, professionType);
+        const survivalProb = calculateSurvivalProbability(conspirators, years, professionType, options);
+        const logSurvival = calculateLogSurvivalProbability(conspirators, years, professionType, options);
+        const exposureProb = calculateExposureProbability(conspirators, years, professionType, options);
+        const expectedTime = calculateExpectedTimeUntilExposure(conspirators, professionType, options);
         const credibility = getCredibilityLevel(survivalProb);
+        
+        // Monte Carlo credible intervals when uncertainty ranges are switched on
+        const uncertainty = getUncertaintySpec();
+        const maxChartYears = typeof getTimeDecayMaxYears === 'function' ? getTimeDecayMaxYears(years) : 100;
+        updateMonteCarloResults(conspirators, years, professionType, options,
+            uncertainty ? { ...uncertainty, maxYears: maxChartYears } : null);
 
         // Update result displays safely
         if (domElements.survivalProbability) {
-            domElements.survivalProbability.textContent = formatProbability(survivalProb);
+            domElements.survivalProbability.textContent = formatProbability(survivalProb, logSurvival);
         }
         if (domElements.exposureProbability) {
             domElements.exposureProbability.textContent = formatProbability(exposureProb);
         }
+        updateResultOdds(domElements.survivalOdds, logSurvival);
+        updateResultOdds(domElements.exposureOdds, Math.log10(exposureProb));
+        updateExposureBreakdown(calculateExposureBreakdown(conspirators, years, professionType, options));
+        updateLeakedProbability(conspirators, years, professionType, options, exposureProb);
         if (domElements.expectedTime) {
             domElements.expectedTime.textContent = formatTimeDuration(expectedTime);
         }
 
         // Update survival description
+        const unit = domElements.tiersEnabled?.checked ? 'tier' : 'group';
+        const who = options.groups
+            ? `conspirators across ${options.groups.length} ${unit}${options.groups.length !== 1 ? 's' : ''}`
+            : getProfessionName(professionType);
         if (domElements.survivalDescription) {
             domElements.survivalDescription.textContent = 
-                `With ${conspirators.toLocaleString()} ${getProfessionName(professionType)} keeping this secret for ${years} years`;
+                `With ${conspirators.toLocaleString()} ${who} keeping this secret for ${years} years`;
+        }
+        if (typeof setExportCaption === 'function') {
+            setExportCaption(describeScenarioForExport(`${conspirators.toLocaleString()} ${who}`, years, professionType, options, logSurvival));
+        }
+        
+        if (options.groups) {
+            const contributions = calculateGroupContributions(conspirators, years, professionType, options);
+            if (domElements.tiersEnabled?.checked) {
+                updateTierContributions(contributions);
+            } else {
+                updateGroupContributions(contributions);
+            }
         }
 
         // Update credibility banner - only if not in Perplexity analysis mode
@@ -564,15 +1885,53 @@ function updateCalculations() {
             }
         }
 
+        updateSolverPanel(conspirators, years, professionType, options);
+        renderIncentiveTable(options);
+        
+        // Bayesian posterior, kept separate from the credibility banner
+        const prior = Math.min(Math.max(parseFloat(domElements.priorProbability?.value) || 0, 0), 100) / 100;
+        const logPosterior = calculateLogPosteriorFromLogSurvival(prior, logSurvival);
+        const posteriorText = formatProbability(Math.pow(10, logPosterior), logPosterior);
+        if (domElements.posteriorProbability) {
+            domElements.posteriorProbability.textContent = posteriorText;
+        }
+        if (domElements.posteriorDescription) {
+            domElements.posteriorDescription.textContent =
+                `Starting from a ${formatProbability(prior)} prior, ${years} years without exposure leave a ${posteriorText} chance the conspiracy is real`;
+        }
+
+        updateFirstLeakSummary(conspirators, years, professionType, options);
+        
+        // Keep the "current value" column of the AI review in step with the inputs
+        if (estimateReview) {
+            renderEstimateReview();
+        }
+
         // Update charts if functions exist
         if (typeof updateTimeDecayChart === 'function') {
-            updateTimeDecayChart(conspirators, professionType, years);
+            updateTimeDecayChart(conspirators, professionType, years, options);
+        }
+        if (typeof updateFirstLeakChart === 'function') {
+            updateFirstLeakChart(conspirators, professionType, years, options);
+        }
+        if (typeof updatePosteriorChart === 'function') {
+            updatePosteriorChart(prior, conspirators, professionType, years, options);
         }
         if (typeof updateComparisonChart === 'function') {
-            updateComparisonChart(conspirators, professionType);
+            updateComparisonChart(conspirators, professionType, years, options);
+        }
+        if (typeof updateHeatmapChart === 'function') {
+            updateHeatmapChart(conspirators, professionType, years, options);
+        }
+        
+        // Ranges come from the uncertainty inputs when they are switched on
+        const sensitivity = runSensitivityAnalysis(conspirators, years, professionType, options, uncertainty || {});
+        renderSensitivityTable(sensitivity);
+        if (typeof updateSensitivityChart === 'function') {
+            updateSensitivityChart(sensitivity);
         }
         if (typeof updateProbabilityGauge === 'function') {
-            updateProbabilityGauge(survivalProb);
+            updateProbabilityGauge(survivalProb, logSurvival);
         }
     } catch (error) {
         console.error('Error updating calculations:', error);
@@ -582,6 +1941,41 @@ function updateCalculations() {
     }
 }
 
+/**
+ * Caption lines for exported charts: the scenario, the model behind it and the headline result
+ */
+function describeScenarioForExport(who, years, professionType, options, logSurvival) {
+    const population = resolvePopulationOptions(options);
+    const recruitment = resolveRecruitmentOptions(options);
+    const hazard = resolveHazardOptions(options);
+    
+    const model = [
+        POPULATION_MODELS[population.populationModel].label,
+        `${HAZARD_MODELS[hazard.hazardModel].label.toLowerCase()} leak hazard`
+    ];
+    if (recruitment.recruitmentModel !== 'none') {
+        model.push(`recruitment: ${RECRUITMENT_MODELS[recruitment.recruitmentModel].label.toLowerCase()}`);
+    }
+    const rateSource = [options.leakRates && 'fitted', options.incentives && 'incentive-adjusted'].filter(Boolean).join(', ');
+    const rateNote = rateSource ? ` (${rateSource})` : '';
+    model.push(options.groups
+        ? `leak rates by group${rateNote}`
+        : `leak rate ${getLeakRate(professionType, options).toPrecision(3)} per person per year${rateNote}`);
+    if (getDiscoveryRate(options) > 0) {
+        model.push(`outside discovery ${getDiscoveryRate(options).toPrecision(3)} per year`);
+    }
+    if (hasBeliefStage(options)) {
+        model.push('leaks must be believed');
+    }
+    
+    return [
+        `Scenario: ${who} keeping a secret for ${years} years`,
+        `Model: Grimes (2016) · ${model.join(' · ')}`,
+        `Probability of remaining secret: ${formatProbability(Math.pow(10, logSurvival), logSurvival)} · ` +
+            `Conspiracy Theorazine, ${new Date().toISOString().slice(0, 10)}`
+    ];
+}
+
 /**
  * Update result card colors based on probability
  */
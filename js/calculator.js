@@ -14,188 +14,1826 @@ const LEAK_RATES = {
     'general': 0.001
 };
 
+// Gompertz mortality parameters used by Grimes for the die-off model (per year)
+const GOMPERTZ_ALPHA = 1e-4;
+const GOMPERTZ_BETA = 0.085;
+
+// Default parameters for the time-varying population models
+const POPULATION_DEFAULTS = {
+    startingAge: 40,
+    removalRate: 0.05
+};
+
+// Outsider discovery: journalists, researchers and foreign governments uncover the
+// conspiracy independently at δ = discoveryRate × (affected / referencePopulation)^exponent
+// per year. The exponent is below 1 because the number of people actually digging
+// grows more slowly than the number affected. There is no published estimate of the
+// rate, so it is off by default and results match Grimes (2016) until one is entered
+const DISCOVERY_DEFAULTS = {
+    discoveryRate: 0, // Per year when one million people are affected
+    referencePopulation: 1000000,
+    exponent: 0.5
+};
+
+// Two-stage exposure: a leak only exposes the conspiracy if it is believed. Each leak
+// is believed with probability beliefProbability (or beliefProbabilities[profession]
+// for the leaker's profession), declining by a factor e^(-beliefDecayRate × t) as the
+// years go by and the trail goes cold. Off unless one of the belief options is set
+const BELIEF_DEFAULTS = {
+    beliefProbability: 1,
+    beliefDecayRate: 0
+};
+
+// Whistleblower incentives: conditions that make leaking more or less attractive than
+// under the status quo the leak rates were measured in. Each factor multiplies every
+// leak rate; the defaults leave the rates unchanged
+const INCENTIVE_DEFAULTS = {
+    rewardSize: 0, // Bounty paid to a whistleblower, in US dollars
+    prosecutionRisk: 0.5, // Chance a leaker is identified and prosecuted
+    whistleblowerProtection: 0.5 // Strength of legal protection, from 0 (none) to 1 (strong)
+};
+
+// How strongly leak rates respond to each incentive:
+// reward       1 + rewardSensitivity × log₁₀(1 + reward / rewardReference)
+// prosecution  e^(-prosecutionSensitivity × (risk - default risk))
+// protection   e^(protectionSensitivity × (protection - default protection))
+const INCENTIVE_EFFECTS = {
+    rewardReference: 10000,
+    rewardSensitivity: 0.5,
+    prosecutionSensitivity: 2,
+    protectionSensitivity: 1
+};
+
+// Longest horizon searched when solving for a survival time (years)
+const MAX_SOLVE_YEARS = 1000;
+
+// Longest horizon the mean time to first leak is integrated over (years)
+const MAX_MEAN_HORIZON_YEARS = 100000;
+
+// Extent and resolution of the survival heatmap (both axes log-scaled)
+const SURVIVAL_GRID_DEFAULTS = {
+    minConspirators: 1,
+    maxConspirators: 10000000,
+    minYears: 1,
+    maxYears: 100,
+    columns: 42,
+    rows: 30
+};
+
+/**
+ * Population dynamics models for the number of active conspirators N(t)
+ * Each model returns N(t) and, where a closed form exists, the integral of N over [0, t]
+ */
+const POPULATION_MODELS = {
+    'constant': {
+        label: 'Constant (no deaths or removals)',
+        population: (initial) => initial,
+        integral: (initial, years) => initial * years
+    },
+    'gompertz': {
+        label: 'Gompertzian die-off (mortality by starting age)',
+        population: (initial, years, params) => {
+            const ageFactor = Math.exp(GOMPERTZ_BETA * params.startingAge);
+            const exponent = (GOMPERTZ_ALPHA / GOMPERTZ_BETA) * ageFactor * (1 - Math.exp(GOMPERTZ_BETA * years));
+            return initial * Math.exp(exponent);
+        },
+        integral: null // No elementary closed form - integrated numerically
+    },
+    'exponential': {
+        label: 'Exponential removal',
+        population: (initial, years, params) => initial * Math.exp(-params.removalRate * years),
+        integral: (initial, years, params) => {
+            if (params.removalRate <= 0) return initial * years;
+            return initial * (1 - Math.exp(-params.removalRate * years)) / params.removalRate;
+        }
+    }
+};
+
+// Default parameters for the recruitment schedules
+const RECRUITMENT_DEFAULTS = {
+    recruitmentModel: 'none',
+    recruitsPerYear: 100,
+    turnoverRate: 0.05,
+    recruitmentSchedule: []
+};
+
+/**
+ * Recruitment schedules for people joining the conspiracy after it starts
+ * Each schedule gives a steady arrival rate (recruits per year) and/or cohorts
+ * ([{year, count}]) joining all at once. Recruits die off or are removed under
+ * the population model like everyone else
+ */
+const RECRUITMENT_MODELS = {
+    'none': {
+        label: 'No recruitment',
+        arrivalRate: () => 0,
+        cohorts: () => []
+    },
+    'linear': {
+        label: 'Linear growth',
+        arrivalRate: (conspirators, params) => params.recruitsPerYear,
+        cohorts: () => []
+    },
+    'turnover': {
+        // A fraction of the posts changes hands each year. Leavers still know the secret,
+        // so every replacement adds one more person who is in on it
+        label: 'Turnover with replacement',
+        arrivalRate: (conspirators, params) => params.turnoverRate * conspirators,
+        cohorts: () => []
+    },
+    'custom': {
+        label: 'Custom year-by-year table',
+        arrivalRate: () => 0,
+        cohorts: (params) => params.recruitmentSchedule
+    }
+};
+
+// Default parameters for the leak hazard models
+const HAZARD_DEFAULTS = {
+    hazardModel: 'constant',
+    weibullShape: 1.5,
+    weibullScale: 10,
+    hazardEras: [{ start: 0, multiplier: 1 }],
+    loyaltyDecayRate: 0.1,
+    loyaltyCeiling: 3
+};
+
+/**
+ * Leak hazard models for how each conspirator's leak rate changes over time
+ * Each model scales the base leak rate p by a multiplier m(t), so the per-person
+ * hazard is p × m(t), and gives the closed-form integral M(t) of m over [0, t]
+ */
+const HAZARD_MODELS = {
+    'constant': {
+        label: 'Constant (the same every year)',
+        multiplier: () => 1,
+        cumulative: (years) => years
+    },
+    'weibull': {
+        // m(t) = k (t/τ)^(k-1): rising for shapes above 1, falling below 1; M(τ) = τ as for the constant model
+        label: 'Weibull (rising or falling over time)',
+        multiplier: (years, params) =>
+            params.weibullShape * Math.pow(years / params.weibullScale, params.weibullShape - 1),
+        cumulative: (years, params) =>
+            params.weibullScale * Math.pow(years / params.weibullScale, params.weibullShape)
+    },
+    'piecewise': {
+        // Each era multiplies the rate from its start year until the next era begins
+        label: 'Piecewise by era',
+        multiplier: (years, params) => {
+            const era = params.hazardEras.filter(candidate => candidate.start <= years).pop();
+            return era ? era.multiplier : 0;
+        },
+        cumulative: (years, params) => params.hazardEras.reduce((sum, era, index) => {
+            const end = Math.min(years, params.hazardEras[index + 1]?.start ?? Infinity);
+            return sum + era.multiplier * Math.max(0, end - era.start);
+        }, 0)
+    },
+    'loyalty': {
+        // Loyalty erodes at rate λ, taking the rate from p towards p × ceiling (a ceiling below 1 means loyalty hardens)
+        label: 'Loyalty decay',
+        multiplier: (years, params) =>
+            params.loyaltyCeiling - (params.loyaltyCeiling - 1) * Math.exp(-params.loyaltyDecayRate * years),
+        cumulative: (years, params) => {
+            if (params.loyaltyDecayRate <= 0) return years;
+            return params.loyaltyCeiling * years -
+                (params.loyaltyCeiling - 1) * (1 - Math.exp(-params.loyaltyDecayRate * years)) / params.loyaltyDecayRate;
+        }
+    }
+};
+
+// Superscript characters for writing powers of ten (10⁻⁸)
+const SUPERSCRIPT_CHARACTERS = {
+    '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴',
+    '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹', '-': '⁻'
+};
+
 // Cache for expensive calculations
 const calculationCache = new Map();
 const CACHE_SIZE_LIMIT = 1000;
 
+// Running integrals of the surviving fraction on a grid of SURVIVOR_TABLE_STEP years,
+// for population models without a closed form, keyed by their parameters
+const survivorIntegralTables = new Map();
+const SURVIVOR_TABLE_STEP = 0.25;
+const SURVIVOR_TABLE_LIMIT = 20;
+
+/**
+ * Resolve population model options, filling in defaults
+ */
+function resolvePopulationOptions(options = {}) {
+    return {
+        populationModel: options.populationModel || 'constant',
+        startingAge: options.startingAge ?? POPULATION_DEFAULTS.startingAge,
+        removalRate: options.removalRate ?? POPULATION_DEFAULTS.removalRate
+    };
+}
+
+/**
+ * Resolve recruitment schedule options, filling in defaults
+ */
+function resolveRecruitmentOptions(options = {}) {
+    return {
+        recruitmentModel: options.recruitmentModel || RECRUITMENT_DEFAULTS.recruitmentModel,
+        recruitsPerYear: options.recruitsPerYear ?? RECRUITMENT_DEFAULTS.recruitsPerYear,
+        turnoverRate: options.turnoverRate ?? RECRUITMENT_DEFAULTS.turnoverRate,
+        recruitmentSchedule: options.recruitmentSchedule ?? RECRUITMENT_DEFAULTS.recruitmentSchedule
+    };
+}
+
+/**
+ * Resolve leak hazard model options, filling in defaults
+ */
+function resolveHazardOptions(options = {}) {
+    return {
+        hazardModel: options.hazardModel || HAZARD_DEFAULTS.hazardModel,
+        weibullShape: options.weibullShape ?? HAZARD_DEFAULTS.weibullShape,
+        weibullScale: options.weibullScale ?? HAZARD_DEFAULTS.weibullScale,
+        hazardEras: options.hazardEras ?? HAZARD_DEFAULTS.hazardEras,
+        loyaltyDecayRate: options.loyaltyDecayRate ?? HAZARD_DEFAULTS.loyaltyDecayRate,
+        loyaltyCeiling: options.loyaltyCeiling ?? HAZARD_DEFAULTS.loyaltyCeiling
+    };
+}
+
+/**
+ * Leak hazard multiplier m(t) of the active hazard model at a given time
+ */
+function getHazardMultiplier(years, options = {}) {
+    const hazard = resolveHazardOptions(options);
+    return HAZARD_MODELS[hazard.hazardModel].multiplier(years, hazard);
+}
+
+/**
+ * Resolve the conspirator groups for a scenario
+ * A scenario either lists its groups in options.groups ([{name, conspirators, professionType}])
+ * or is a single group described by the conspirators and professionType arguments.
+ * Compartmentalized tiers are groups that also give a leakRateMultiplier on their
+ * profession's rate and a leakExposureProbability: the chance that a leak from that
+ * tier exposes everything
+ */
+function resolveGroups(conspirators, professionType, options = {}) {
+    if (Array.isArray(options.groups) && options.groups.length > 0) {
+        return options.groups;
+    }
+    return [{ conspirators, professionType }];
+}
+
+/**
+ * Resolve whistleblower incentive options, filling in defaults
+ */
+function resolveIncentiveOptions(options = {}) {
+    return { ...INCENTIVE_DEFAULTS, ...options.incentives };
+}
+
+/**
+ * Break down how options.incentives change the leak rates
+ * 
+ * @param {object} options - Model options, with incentives as {rewardSize, prosecutionRisk, whistleblowerProtection}
+ * @returns {object} {reward, prosecution, protection, total}: the multiplier from each incentive and their product
+ */
+function getIncentiveFactors(options = {}) {
+    const incentives = resolveIncentiveOptions(options);
+    const factors = {
+        reward: 1 + INCENTIVE_EFFECTS.rewardSensitivity *
+            Math.log10(1 + incentives.rewardSize / INCENTIVE_EFFECTS.rewardReference),
+        prosecution: Math.exp(-INCENTIVE_EFFECTS.prosecutionSensitivity *
+            (incentives.prosecutionRisk - INCENTIVE_DEFAULTS.prosecutionRisk)),
+        protection: Math.exp(INCENTIVE_EFFECTS.protectionSensitivity *
+            (incentives.whistleblowerProtection - INCENTIVE_DEFAULTS.whistleblowerProtection))
+    };
+    factors.total = factors.reward * factors.prosecution * factors.protection;
+    return factors;
+}
+
+/**
+ * Multiplier applied to every leak rate: options.leakRateScale (e.g. when sampling an
+ * uncertain leak rate) times the whistleblower incentives
+ */
+function getLeakRateMultiplier(options = {}) {
+    const incentiveFactor = options.incentives ? getIncentiveFactors(options).total : 1;
+    return (options.leakRateScale ?? 1) * incentiveFactor;
+}
+
+/**
+ * Per-person annual leak rate for a profession under the scenario's options
+ * options.leakRates replaces rates from LEAK_RATES (e.g. rates fitted from historical data),
+ * and the rate is then scaled by getLeakRateMultiplier
+ */
+function getLeakRate(professionType, options = {}) {
+    const baseRate = options.leakRates?.[professionType] ?? LEAK_RATES[professionType];
+    return baseRate * getLeakRateMultiplier(options);
+}
+
+/**
+ * Per-person annual leak rate for a group: its profession's rate, resolved under the
+ * scenario's options so fitted rates and incentives apply, times its own multiplier (tiers)
+ */
+function getGroupLeakRate(group, options = {}) {
+    return getLeakRate(group.professionType, options) * (group.leakRateMultiplier ?? 1);
+}
+
+/**
+ * Effective per-person exposure rate for a group: its leak rate times the
+ * probability that one of its leaks exposes the whole conspiracy
+ */
+function getGroupExposureRate(group, options = {}) {
+    return getGroupLeakRate(group, options) * (group.leakExposureProbability ?? 1);
+}
+
+/**
+ * Leak rate of every profession before and after the scenario's incentives, so the
+ * adjustment can be shown alongside the results
+ * 
+ * @param {object} options - Model options (leakRates, incentives)
+ * @returns {Array} Array of {professionType, baseRate, adjustedRate} objects, where baseRate
+ *                  is the default or fitted rate and adjustedRate the one used in calculations
+ */
+function calculateAdjustedLeakRates(options = {}) {
+    const { leakRateScale, incentives, ...baseOptions } = options;
+    return Object.keys(LEAK_RATES).map(type => ({
+        professionType: type,
+        baseRate: getLeakRate(type, baseOptions),
+        adjustedRate: getLeakRate(type, { ...baseOptions, incentives })
+    }));
+}
+
+/**
+ * Rate (per year) at which outsiders uncover the conspiracy, given options.populationAffected
+ * and options.discoveryRate (the rate when one million people are affected; 0 by default)
+ */
+function getDiscoveryRate(options = {}) {
+    if (!options.populationAffected) return 0;
+    
+    const rate = options.discoveryRate ?? DISCOVERY_DEFAULTS.discoveryRate;
+    return rate * Math.pow(options.populationAffected / DISCOVERY_DEFAULTS.referencePopulation, DISCOVERY_DEFAULTS.exponent);
+}
+
+/**
+ * Resolve the belief stage options, filling in defaults
+ */
+function resolveBeliefOptions(options = {}) {
+    return {
+        beliefProbability: options.beliefProbability ?? BELIEF_DEFAULTS.beliefProbability,
+        beliefDecayRate: options.beliefDecayRate ?? BELIEF_DEFAULTS.beliefDecayRate,
+        beliefProbabilities: options.beliefProbabilities || {}
+    };
+}
+
+/**
+ * Whether the options switch on the belief stage, separating leaks from public exposure
+ */
+function hasBeliefStage(options = {}) {
+    return options.beliefProbability !== undefined ||
+        options.beliefDecayRate !== undefined ||
+        options.beliefProbabilities !== undefined;
+}
+
+/**
+ * The same options without the belief stage, under which every leak exposes the conspiracy
+ * Results under these options describe the chance that something has leaked, believed or not
+ */
+function withoutBeliefStage(options = {}) {
+    const { beliefProbability, beliefDecayRate, beliefProbabilities, ...leakOptions } = options;
+    return leakOptions;
+}
+
+/**
+ * Probability that a leak from a group, made at the given time, is believed
+ */
+function getGroupBeliefProbability(group, years, options = {}) {
+    const belief = resolveBeliefOptions(options);
+    const probability = belief.beliefProbabilities[group.professionType] ?? belief.beliefProbability;
+    return probability * Math.exp(-belief.beliefDecayRate * years);
+}
+
+/**
+ * Validate input parameters
+ */
+function validateInputs(conspirators, years, professionType, options = {}) {
+    const groups = resolveGroups(conspirators, professionType, options);
+    let totalConspirators = 0;
+    
+    groups.forEach(group => {
+        if (typeof group.conspirators !== 'number' || group.conspirators < 1) {
+            throw new Error('Invalid number of conspirators');
+        }
+        if (!LEAK_RATES.hasOwnProperty(group.professionType)) {
+            throw new Error('Invalid profession type');
+        }
+        if (group.leakRateMultiplier !== undefined &&
+            (typeof group.leakRateMultiplier !== 'number' || !isFinite(group.leakRateMultiplier) || group.leakRateMultiplier < 0)) {
+            throw new Error('Invalid group leak rate multiplier');
+        }
+        if (group.leakExposureProbability !== undefined &&
+            (typeof group.leakExposureProbability !== 'number' || group.leakExposureProbability < 0 || group.leakExposureProbability > 1)) {
+            throw new Error('Invalid leak exposure probability');
+        }
+        totalConspirators += group.conspirators;
+    });
+    
+    if (totalConspirators > 10000000) {
+        throw new Error('Invalid number of conspirators');
+    }
+    if (typeof years !== 'number' || years < 0 || years > 1000) {
+        throw new Error('Invalid number of years');
+    }
+
+    const population = resolvePopulationOptions(options);
+    if (!POPULATION_MODELS.hasOwnProperty(population.populationModel)) {
+        throw new Error('Invalid population model');
+    }
+    if (typeof population.startingAge !== 'number' || population.startingAge < 0 || population.startingAge > 120) {
+        throw new Error('Invalid starting age');
+    }
+    if (typeof population.removalRate !== 'number' || population.removalRate < 0 || population.removalRate > 10) {
+        throw new Error('Invalid removal rate');
+    }
+    
+    const hazard = resolveHazardOptions(options);
+    const isRate = value => typeof value === 'number' && isFinite(value) && value >= 0;
+    
+    const recruitment = resolveRecruitmentOptions(options);
+    if (!RECRUITMENT_MODELS.hasOwnProperty(recruitment.recruitmentModel)) {
+        throw new Error('Invalid recruitment model');
+    }
+    if (!isRate(recruitment.recruitsPerYear) || !isRate(recruitment.turnoverRate) || recruitment.turnoverRate > 10) {
+        throw new Error('Invalid recruitment rate');
+    }
+    if (!Array.isArray(recruitment.recruitmentSchedule) ||
+        recruitment.recruitmentSchedule.some(cohort => !isRate(cohort.year) || cohort.year > 1000 || !isRate(cohort.count))) {
+        throw new Error('Invalid recruitment schedule');
+    }
+    
+    if (!HAZARD_MODELS.hasOwnProperty(hazard.hazardModel)) {
+        throw new Error('Invalid hazard model');
+    }
+    if (!isRate(hazard.weibullShape) || hazard.weibullShape === 0 || hazard.weibullShape > 10) {
+        throw new Error('Invalid Weibull shape');
+    }
+    if (!isRate(hazard.weibullScale) || hazard.weibullScale === 0) {
+        throw new Error('Invalid Weibull scale');
+    }
+    if (!Array.isArray(hazard.hazardEras) || hazard.hazardEras.length === 0 || hazard.hazardEras[0].start !== 0 ||
+        hazard.hazardEras.some((era, index) => !isRate(era.multiplier) || !isRate(era.start) ||
+            (index > 0 && era.start <= hazard.hazardEras[index - 1].start))) {
+        throw new Error('Invalid hazard eras');
+    }
+    if (!isRate(hazard.loyaltyDecayRate) || !isRate(hazard.loyaltyCeiling)) {
+        throw new Error('Invalid loyalty decay parameters');
+    }
+    if (options.leakRateScale !== undefined &&
+        (typeof options.leakRateScale !== 'number' || !isFinite(options.leakRateScale) || options.leakRateScale < 0)) {
+        throw new Error('Invalid leak rate scale');
+    }
+    if (options.incentives !== undefined) {
+        const incentives = resolveIncentiveOptions(options);
+        if (typeof incentives.rewardSize !== 'number' || !isFinite(incentives.rewardSize) || incentives.rewardSize < 0) {
+            throw new Error('Invalid whistleblower reward');
+        }
+        ['prosecutionRisk', 'whistleblowerProtection'].forEach(name => {
+            if (typeof incentives[name] !== 'number' || incentives[name] < 0 || incentives[name] > 1) {
+                throw new Error(`Invalid ${name === 'prosecutionRisk' ? 'prosecution risk' : 'whistleblower protection'}`);
+            }
+        });
+    }
+    if (options.leakRates !== undefined) {
+        Object.entries(options.leakRates).forEach(([type, rate]) => {
+            if (!LEAK_RATES.hasOwnProperty(type) || typeof rate !== 'number' || !isFinite(rate) || rate < 0) {
+                throw new Error('Invalid leak rate set');
+            }
+        });
+    }
+    if (options.populationAffected !== undefined &&
+        (typeof options.populationAffected !== 'number' || !isFinite(options.populationAffected) || options.populationAffected < 0)) {
+        throw new Error('Invalid population affected');
+    }
+    if (options.discoveryRate !== undefined &&
+        (typeof options.discoveryRate !== 'number' || !isFinite(options.discoveryRate) || options.discoveryRate < 0)) {
+        throw new Error('Invalid discovery rate');
+    }
+    
+    const belief = resolveBeliefOptions(options);
+    const isProbability = value => typeof value === 'number' && value >= 0 && value <= 1;
+    if (!isProbability(belief.beliefProbability)) {
+        throw new Error('Invalid belief probability');
+    }
+    if (typeof belief.beliefDecayRate !== 'number' || !isFinite(belief.beliefDecayRate) || belief.beliefDecayRate < 0) {
+        throw new Error('Invalid belief decay rate');
+    }
+    Object.entries(belief.beliefProbabilities).forEach(([type, probability]) => {
+        if (!LEAK_RATES.hasOwnProperty(type) || !isProbability(probability)) {
+            throw new Error('Invalid belief probability set');
+        }
+    });
+}
+
+/**
+ * Create cache key for memoization
+ */
+function createCacheKey(conspirators, years, professionType, operation, options = {}) {
+    const population = resolvePopulationOptions(options);
+    const groups = resolveGroups(conspirators, professionType, options)
+        .map(group => `${group.conspirators}:${group.professionType}:${group.leakRateMultiplier ?? 1}:${group.leakExposureProbability ?? 1}`);
+    const leakRates = Object.keys(LEAK_RATES).map(type => getLeakRate(type, options));
+    const belief = hasBeliefStage(options) ? JSON.stringify(resolveBeliefOptions(options)) : '';
+    const hazard = resolveHazardOptions(options);
+    const hazardKey = hazard.hazardModel === 'constant' ? 'constant' : JSON.stringify(hazard);
+    const recruitment = resolveRecruitmentOptions(options);
+    const recruitmentKey = recruitment.recruitmentModel === 'none' ? 'none' : JSON.stringify(recruitment);
+    return `${operation}-${conspirators}-${years}-${professionType}-${groups.join(',')}-${leakRates.join(',')}-${JSON.stringify(population)}-${recruitmentKey}-${hazardKey}-${getDiscoveryRate(options)}-${belief}`;
+}
+
+/**
+ * Get cached result or calculate and cache
+ */
+function getCachedOrCalculate(key, calculationFn) {
+    if (calculationCache.has(key)) {
+        return calculationCache.get(key);
+    }
+    
+    const result = calculationFn();
+    
+    // Manage cache size
+    if (calculationCache.size >= CACHE_SIZE_LIMIT) {
+        const firstKey = calculationCache.keys().next().value;
+        calculationCache.delete(firstKey);
+    }
+    
+    calculationCache.set(key, result);
+    return result;
+}
+
+/**
+ * Numerically integrate a function over [start, end] using Simpson's rule
+ */
+function integrateSimpson(fn, start, end, intervals = 200) {
+    if (end <= start) return 0;
+    const n = intervals % 2 === 0 ? intervals : intervals + 1;
+    const h = (end - start) / n;
+    let sum = fn(start) + fn(end);
+    for (let i = 1; i < n; i++) {
+        sum += fn(start + i * h) * (i % 2 === 0 ? 2 : 4);
+    }
+    return (sum * h) / 3;
+}
+
+/**
+ * Number of conspirators still able to leak after a given time
+ * 
+ * @param {number} conspirators - Initial number of people involved (N₀)
+ * @param {number} years - Time in years (t)
+ * @param {object} options - Population model options ({populationModel, startingAge, removalRate})
+ * @returns {number} N(t)
+ */
+function calculatePopulationAtTime(conspirators, years, options = {}) {
+    const population = resolvePopulationOptions(options);
+    return POPULATION_MODELS[population.populationModel].population(conspirators, years, population);
+}
+
+/**
+ * Integral of N(t) over [start, end], i.e. person-years of exposure to leaking
+ */
+function integratePopulation(conspirators, start, end, options = {}) {
+    const population = resolvePopulationOptions(options);
+    const model = POPULATION_MODELS[population.populationModel];
+    
+    if (model.integral) {
+        return model.integral(conspirators, end, population) - model.integral(conspirators, start, population);
+    }
+    
+    if (end <= start) return 0;
+    return conspirators * (integrateSurvivorFraction(model, population, end) - integrateSurvivorFraction(model, population, start));
+}
+
+/**
+ * Integral of the surviving fraction N(t)/N₀ over [0, years] for a population model
+ * without a closed form. The integral is built up as a running sum over one fixed
+ * grid and kept per set of parameters, so each call costs O(1) however long the
+ * time span: recruits, the solvers and Monte Carlo all ask for it many times over.
+ */
+function integrateSurvivorFraction(model, population, years) {
+    const key = `${population.populationModel}-${population.startingAge}-${population.removalRate}`;
+    let table = survivorIntegralTables.get(key);
+    if (!table) {
+        if (survivorIntegralTables.size >= SURVIVOR_TABLE_LIMIT) {
+            survivorIntegralTables.delete(survivorIntegralTables.keys().next().value);
+        }
+        table = [0];
+        survivorIntegralTables.set(key, table);
+    }
+    
+    const fraction = t => model.population(1, t, population);
+    const cell = Math.floor(years / SURVIVOR_TABLE_STEP);
+    while (table.length <= cell) {
+        const cellStart = (table.length - 1) * SURVIVOR_TABLE_STEP;
+        table.push(table[table.length - 1] + integrateSimpson(fraction, cellStart, cellStart + SURVIVOR_TABLE_STEP, 2));
+    }
+    
+    const cellStart = cell * SURVIVOR_TABLE_STEP;
+    return table[cell] + integrateSimpson(fraction, cellStart, years, 2);
+}
+
+/**
+ * Integral of N(t) × e^(-κt) over [start, end], with κ the belief decay rate:
+ * person-years of exposure to leaking, discounted for leaks becoming less believable
+ */
+function integrateBelievedPopulation(conspirators, start, end, options = {}) {
+    const { beliefDecayRate } = resolveBeliefOptions(options);
+    if (beliefDecayRate <= 0) {
+        return integratePopulation(conspirators, start, end, options);
+    }
+    
+    const population = resolvePopulationOptions(options);
+    if (population.populationModel === 'constant' || population.populationModel === 'exponential') {
+        // Credibility decaying at rate κ discounts leaks just like removing conspirators at rate κ
+        const removalRate = beliefDecayRate + (population.populationModel === 'exponential' ? population.removalRate : 0);
+        return integratePopulation(conspirators, start, end, { populationModel: 'exponential', removalRate: removalRate });
+    }
+    
+    const model = POPULATION_MODELS[population.populationModel];
+    const intervals = Math.max(8, Math.ceil(end - start) * 4);
+    return integrateSimpson(t => model.population(conspirators, t, population) * Math.exp(-beliefDecayRate * t),
+        start, end, intervals);
+}
+
+/**
+ * Integral of N(t) × m(t) × e^(-κt) over [start, end], with m the hazard model's
+ * multiplier: believed person-years of exposure, weighted by how leak-prone each year is
+ */
+function integrateLeakExposure(conspirators, start, end, options = {}) {
+    const hazard = resolveHazardOptions(options);
+    if (hazard.hazardModel === 'constant') {
+        return integrateBelievedPopulation(conspirators, start, end, options);
+    }
+    
+    const model = HAZARD_MODELS[hazard.hazardModel];
+    if (resolvePopulationOptions(options).populationModel === 'constant' && resolveBeliefOptions(options).beliefDecayRate <= 0) {
+        return conspirators * (model.cumulative(end, hazard) - model.cumulative(start, hazard));
+    }
+    
+    return integrateWeightedByHazard(years => calculatePopulationAtTime(conspirators, years, options), start, end, options);
+}
+
+/**
+ * Integral of f(t) × m(t) × e^(-κt) over [start, end] for a smooth f, such as a head count
+ * Weights each slice's exact integral of m by f(t) × e^(-κt) at its midpoint. This stays
+ * accurate where m itself is infinite, as for a Weibull shape below 1 at t = 0
+ */
+function integrateWeightedByHazard(fn, start, end, options = {}) {
+    const hazard = resolveHazardOptions(options);
+    const model = HAZARD_MODELS[hazard.hazardModel];
+    const { beliefDecayRate } = resolveBeliefOptions(options);
+    
+    const intervals = Math.max(8, Math.ceil(end - start) * 4);
+    const step = (end - start) / intervals;
+    let total = 0;
+    for (let i = 0; i < intervals; i++) {
+        const sliceStart = start + i * step;
+        const midpoint = sliceStart + step / 2;
+        total += fn(midpoint) * Math.exp(-beliefDecayRate * midpoint) *
+            (model.cumulative(sliceStart + step, hazard) - model.cumulative(sliceStart, hazard));
+    }
+    return total;
+}
+
+/**
+ * Recruits still able to leak at a given time, R(t), for a conspiracy that started with
+ * the given number of conspirators
+ */
+function calculateRecruitsAtTime(conspirators, years, options = {}) {
+    const recruitment = resolveRecruitmentOptions(options);
+    if (recruitment.recruitmentModel === 'none') return 0;
+    
+    const model = RECRUITMENT_MODELS[recruitment.recruitmentModel];
+    const arrivalRate = model.arrivalRate(conspirators, recruitment);
+    const steadyRecruits = arrivalRate > 0 ? arrivalRate * integratePopulation(1, 0, years, options) : 0;
+    return model.cohorts(recruitment)
+        .filter(cohort => cohort.year <= years)
+        .reduce((sum, cohort) => sum + calculatePopulationAtTime(cohort.count, years - cohort.year, options), steadyRecruits);
+}
+
+/**
+ * Integral of R(t) × m(t) × e^(-κt) over [start, end]: the recruits' share of the exposure,
+ * integrated piece by piece between the years at which cohorts join
+ */
+function integrateRecruitExposure(conspirators, start, end, options = {}) {
+    const recruitment = resolveRecruitmentOptions(options);
+    if (recruitment.recruitmentModel === 'none' || end <= start) return 0;
+    
+    // R(t) jumps whenever a cohort joins
+    const breakpoints = RECRUITMENT_MODELS[recruitment.recruitmentModel].cohorts(recruitment)
+        .map(cohort => cohort.year)
+        .filter(year => year > start && year < end)
+        .sort((a, b) => a - b);
+    const edges = [start, ...breakpoints, end];
+    
+    let total = 0;
+    for (let i = 0; i < edges.length - 1; i++) {
+        total += integrateWeightedByHazard(years => calculateRecruitsAtTime(conspirators, years, options),
+            edges[i], edges[i + 1], options);
+    }
+    return total;
+}
+
+/**
+ * Total number of people able to leak at a given time: the surviving original
+ * conspirators plus surviving recruits
+ */
+function calculatePeopleInOnIt(conspirators, years, professionType, options = {}) {
+    const groups = resolveGroups(conspirators, professionType, options);
+    const founders = groups.reduce((sum, group) => sum + calculatePopulationAtTime(group.conspirators, years, options), 0);
+    return founders + calculateRecruitsAtTime(getTotalConspirators(groups), years, options);
+}
+
+/**
+ * Number of original conspirators across all groups
+ */
+function getTotalConspirators(groups) {
+    return groups.reduce((sum, group) => sum + group.conspirators, 0);
+}
+
+/**
+ * Hazard of a believed leak accumulated by each group over [start, end]
+ * Without the belief stage every leak is believed and this is the plain leak hazard.
+ * Recruits are shared between the groups in proportion to their original size
+ */
+function calculateGroupHazards(conspirators, start, end, professionType, options = {}) {
+    const groups = resolveGroups(conspirators, professionType, options);
+    const totalConspirators = getTotalConspirators(groups);
+    const recruitExposure = integrateRecruitExposure(totalConspirators, start, end, options);
+    
+    return groups.map(group =>
+        getGroupExposureRate(group, options) * getGroupBeliefProbability(group, 0, options) *
+            (integrateLeakExposure(group.conspirators, start, end, options) +
+                recruitExposure * group.conspirators / totalConspirators)
+    );
+}
+
+/**
+ * Total exposure hazard accumulated over [start, end]: every group's leak
+ * hazard plus outsider discovery, which doesn't depend on the conspirators
+ */
+function calculateHazardBetween(conspirators, start, end, professionType, options = {}) {
+    const leakHazard = calculateGroupHazards(conspirators, start, end, professionType, options)
+        .reduce((sum, hazard) => sum + hazard, 0);
+    // Outsiders find evidence rather than make claims, so a discovery needs no belief stage
+    return leakHazard + getDiscoveryRate(options) * (end - start);
+}
+
+/**
+ * Calculate the cumulative leak hazard Λ(t) = Σ p_g × ∫N_g(s)ds over [0, t]
+ * Survival is exp(-Λ(t)); for a single constant group this reduces to p × N × t
+ */
+function calculateCumulativeHazard(conspirators, years, professionType, options = {}) {
+    return calculateHazardBetween(conspirators, 0, years, professionType, options);
+}
+
+/**
+ * Combined base rate of believed insider leaks at the start, Σ p_g × b_g × N_g (per year),
+ * before the hazard model's multiplier
+ */
+function calculateInsiderLeakRate(conspirators, professionType, options = {}) {
+    const groups = resolveGroups(conspirators, professionType, options);
+    const totalConspirators = getTotalConspirators(groups);
+    const recruitFactor = 1 + calculateRecruitsAtTime(totalConspirators, 0, options) / totalConspirators;
+    return groups.reduce((sum, group) => sum + getGroupExposureRate(group, options) *
+        getGroupBeliefProbability(group, 0, options) * group.conspirators * recruitFactor, 0);
+}
+
+/**
+ * Combined initial exposure rate: insider leaks plus outsider discovery (per year)
+ */
+function calculateTotalLeakRate(conspirators, professionType, options = {}) {
+    return calculateInsiderLeakRate(conspirators, professionType, options) + getDiscoveryRate(options);
+}
+
+/**
+ * Instantaneous exposure hazard h(t) = Σ p_g × m(t) × b_g(t) × N_g(t) + δ at time t (per year)
+ */
+function computeHazardRate(conspirators, years, professionType, options = {}) {
+    const multiplier = getHazardMultiplier(years, options);
+    const groups = resolveGroups(conspirators, professionType, options);
+    const totalConspirators = getTotalConspirators(groups);
+    const recruits = calculateRecruitsAtTime(totalConspirators, years, options);
+    
+    return groups.reduce((sum, group) => sum + getGroupExposureRate(group, options) * multiplier *
+        getGroupBeliefProbability(group, years, options) *
+        (calculatePopulationAtTime(group.conspirators, years, options) + recruits * group.conspirators / totalConspirators),
+        getDiscoveryRate(options));
+}
+
+/**
+ * Whether the exposure hazard stays the same over time, so that times can be solved
+ * in closed form: a constant population without recruits, with a constant leak hazard
+ * whose leaks don't lose credibility
+ */
+function hasConstantHazard(options = {}) {
+    return resolvePopulationOptions(options).populationModel === 'constant' &&
+        resolveRecruitmentOptions(options).recruitmentModel === 'none' &&
+        resolveHazardOptions(options).hazardModel === 'constant' &&
+        resolveBeliefOptions(options).beliefDecayRate <= 0;
+}
+
+/**
+ * Find the time at which the cumulative hazard reaches a target value
+ * Walks forward a year at a time, then bisects within the year that crosses the target.
+ * Returns Infinity if it is never reached within MAX_SOLVE_YEARS (e.g. conspirators die off first)
+ */
+function solveTimeForHazard(targetHazard, conspirators, professionType, options = {}) {
+    let hazard = 0;
+    
+    for (let year = 0; year < MAX_SOLVE_YEARS; year++) {
+        const yearHazard = calculateHazardBetween(conspirators, year, year + 1, professionType, options);
+        
+        if (hazard + yearHazard >= targetHazard) {
+            let low = year;
+            let high = year + 1;
+            for (let i = 0; i < 40; i++) {
+                const mid = (low + high) / 2;
+                if (hazard + calculateHazardBetween(conspirators, year, mid, professionType, options) < targetHazard) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+            return (low + high) / 2;
+        }
+        
+        hazard += yearHazard;
+    }
+    
+    return Infinity;
+}
+
+/**
+ * Years until survival drops to 50%, without validation or caching
+ */
+function computeExpectedTime(conspirators, professionType, options = {}) {
+    const totalLeakRate = calculateTotalLeakRate(conspirators, professionType, options);
+    
+    if (totalLeakRate <= 0) {
+        return Infinity;
+    }
+    
+    if (hasConstantHazard(options)) {
+        const result = Math.LN2 / totalLeakRate;
+        return Math.max(0, result); // Ensure non-negative
+    }
+    
+    return solveTimeForHazard(Math.LN2, conspirators, professionType, options);
+}
+
+/**
+ * Integrate weight(t) × S(t) over [0, years] with Simpson's rule, in steps short
+ * enough that each adds at most ~0.25 to the hazard, stopping once survival is negligible
+ * Returns {integral, hazard}, with hazard the cumulative hazard reached
+ */
+function integrateOverSurvival(weight, conspirators, years, professionType, options = {}) {
+    let time = 0;
+    let hazard = 0;
+    let integral = 0;
+    
+    while (time < years && hazard < 40) {
+        // A hazard that starts out infinite (Weibull shapes below 1) is sampled just after zero
+        const rate = computeHazardRate(conspirators, Math.max(time, 1e-6), professionType, options);
+        const step = Math.min(1, years - time, rate > 0 ? 0.25 / rate : 1);
+        const midHazard = hazard + calculateHazardBetween(conspirators, time, time + step / 2, professionType, options);
+        const endHazard = midHazard + calculateHazardBetween(conspirators, time + step / 2, time + step, professionType, options);
+        
+        integral += (step / 6) * (weight(time) * Math.exp(-hazard) +
+            4 * weight(time + step / 2) * Math.exp(-midHazard) +
+            weight(time + step) * Math.exp(-endHazard));
+        hazard = endHazard;
+        time += step;
+    }
+    
+    return { integral, hazard };
+}
+
+/**
+ * Mean time to first leak, ∫S(t)dt, without validation or caching
+ * Constant populations have the closed form 1 / (p × N); otherwise S(t) is integrated
+ * numerically, past MAX_SOLVE_YEARS if survival falls off slowly
+ */
+function computeMeanFirstLeakTime(conspirators, professionType, options = {}) {
+    const totalLeakRate = calculateTotalLeakRate(conspirators, professionType, options);
+    
+    if (totalLeakRate <= 0) {
+        return { mean: Infinity, isLowerBound: false };
+    }
+    
+    if (hasConstantHazard(options)) {
+        return { mean: 1 / totalLeakRate, isLowerBound: false };
+    }
+    
+    const { integral, hazard } = integrateOverSurvival(() => 1, conspirators, MAX_SOLVE_YEARS, professionType, options);
+    if (Math.exp(-hazard) <= 1e-6) {
+        return { mean: integral, isLowerBound: false };
+    }
+    return extendSurvivalIntegral(integral, hazard, conspirators, professionType, options);
+}
+
+/**
+ * Carry ∫S(t)dt on from MAX_SOLVE_YEARS for survival with a long tail (e.g. a
+ * Weibull shape below 1), in steps of up to 1% of the time reached so far
+ * Stops once survival is negligible, at MAX_MEAN_HORIZON_YEARS, or once the hazard
+ * has all but stopped growing (everyone has died or left, so there is a real chance
+ * nobody ever leaks); in the last two cases the integral is only a lower bound on the mean
+ */
+function extendSurvivalIntegral(integral, hazard, conspirators, professionType, options = {}) {
+    let time = MAX_SOLVE_YEARS;
+    
+    while (time < MAX_MEAN_HORIZON_YEARS && hazard < 40) {
+        const rate = computeHazardRate(conspirators, time, professionType, options);
+        if (rate * time < 1e-9) break;
+        
+        const step = Math.min(time / 100, MAX_MEAN_HORIZON_YEARS - time, 0.25 / rate);
+        const midHazard = hazard + calculateHazardBetween(conspirators, time, time + step / 2, professionType, options);
+        const endHazard = midHazard + calculateHazardBetween(conspirators, time + step / 2, time + step, professionType, options);
+        
+        integral += (step / 6) * (Math.exp(-hazard) + 4 * Math.exp(-midHazard) + Math.exp(-endHazard));
+        hazard = endHazard;
+        time += step;
+    }
+    
+    return { mean: integral, isLowerBound: Math.exp(-hazard) > 1e-6 };
+}
+
+/**
+ * Probability that a Poisson count with the given mean is at least k
+ * Sums whichever tail is shorter, in log space so large means don't underflow
+ */
+function poissonTailProbability(mean, k) {
+    if (k <= 0) return 1;
+    if (mean <= 0) return 0;
+    
+    const logMean = Math.log(mean);
+    // log of P(X = i), built up incrementally from P(X = 0) = e^-mean
+    let logTerm = -mean;
+    
+    if (k <= mean) {
+        let lower = 0;
+        for (let i = 0; i < k; i++) {
+            if (i > 0) logTerm += logMean - Math.log(i);
+            lower += Math.exp(logTerm);
+        }
+        return Math.max(0, Math.min(1, 1 - lower));
+    }
+    
+    for (let i = 1; i <= k; i++) {
+        logTerm += logMean - Math.log(i);
+    }
+    let upper = 0;
+    for (let i = k; i < k + 10000; i++) {
+        if (i > k) logTerm += logMean - Math.log(i);
+        const term = Math.exp(logTerm);
+        upper += term;
+        if (term < upper * 1e-15) break;
+    }
+    return Math.max(0, Math.min(1, upper));
+}
+
+/**
+ * Step size (years) used when generating a survival series up to maxYears
+ */
+function getSeriesStep(maxYears) {
+    if (maxYears > 200) return 10;
+    if (maxYears > 100) return 5;
+    if (maxYears > 50) return 2;
+    return 1;
+}
+
+/**
+ * Calculate the probability that a conspiracy survives unexposed
+ * Using Dr. Grimes' formula: P(t) = exp(-p × N × t) for a constant population,
+ * or P(t) = exp(-p × ∫N(s)ds) when conspirators die off or are removed over time.
+ * With several groups their hazards add: P(t) = exp(-Σ p_g × ∫N_g(s)ds)
+ * 
+ * @param {number} conspirators - Number of people involved (N, or N₀ for time-varying models)
+ * @param {number} years - Time in years (t)
+ * @param {string} professionType - Type of conspirators (key from LEAK_RATES)
+ * @param {object} options - Model options ({populationModel, startingAge, removalRate, groups});
+ *                           when groups are given they replace conspirators and professionType
+ * @returns {number} Probability (0 to 1) that conspiracy remains unexposed
+ */
+function calculateSurvivalProbability(conspirators, years, professionType, options = {}) {
+    try {
+        validateInputs(conspirators, years, professionType, options);
+        
+        const cacheKey = createCacheKey(conspirators, years, professionType, 'survival', options);
+        
+        return getCachedOrCalculate(cacheKey, () => {
+            const exponent = -calculateCumulativeHazard(conspirators, years, professionType, options);
+            
+            // Handle extreme values; below about e^-745 this underflows to 0, so use
+            // calculateLogSurvivalProbability to tell tiny probabilities apart
+            if (exponent > 0) return 1;
+            
+            return Math.exp(exponent);
+        });
+    } catch (error) {
+        console.error('Error calculating survival probability:', error);
+        return 0;
+    }
+}
+
+/**
+ * Calculate the base-10 logarithm of the survival probability
+ * log₁₀ P(t) = -Λ(t) / ln(10) stays finite long after P(t) itself underflows
+ * to 0, so astronomically unlikely scenarios can still be compared
+ * 
+ * @param {number} conspirators - Number of people involved
+ * @param {number} years - Time in years
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options
+ * @returns {number} log₁₀ of the probability that the conspiracy remains unexposed (0 or below)
+ */
+function calculateLogSurvivalProbability(conspirators, years, professionType, options = {}) {
+    try {
+        validateInputs(conspirators, years, professionType, options);
+        
+        const cacheKey = createCacheKey(conspirators, years, professionType, 'logsurvival', options);
+        
+        return getCachedOrCalculate(cacheKey, () =>
+            Math.min(0, -calculateCumulativeHazard(conspirators, years, professionType, options) / Math.LN10));
+    } catch (error) {
+        console.error('Error calculating log survival probability:', error);
+        return -Infinity;
+    }
+}
+
+/**
+ * Calculate the probability that a conspiracy has been exposed by now
+ * 
+ * @param {number} conspirators - Number of people involved
+ * @param {number} years - Time in years
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Population model options
+ * @returns {number} Probability (0 to 1) that conspiracy has been exposed
+ */
+function calculateExposureProbability(conspirators, years, professionType, options = {}) {
+    try {
+        // 1 - e^-Λ via expm1, which keeps its precision when the exposure probability is tiny
+        const logSurvival = calculateLogSurvivalProbability(conspirators, years, professionType, options);
+        return Math.max(0, Math.min(1, -Math.expm1(logSurvival * Math.LN10))); // Clamp between 0 and 1
+    } catch (error) {
+        console.error('Error calculating exposure probability:', error);
+        return 1; // Assume exposed if calculation fails
+    }
+}
+
+/**
+ * Calculate the probability that the secret has leaked by now, whether or not anyone believed it
+ * With the belief stage off every leak exposes the conspiracy and this equals the exposure probability;
+ * with it on, the gap between the two is the chance of a leak that was dismissed
+ * 
+ * @param {number} conspirators - Number of people involved
+ * @param {number} years - Time in years
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options
+ * @returns {number} Probability (0 to 1) of at least one leak or outside discovery
+ */
+function calculateLeakProbability(conspirators, years, professionType, options = {}) {
+    return calculateExposureProbability(conspirators, years, professionType, withoutBeliefStage(options));
+}
+
+/**
+ * Calculate expected time until exposure (in years)
+ * This is when the survival probability drops to 50%
+ * Solving for t when P(t) = 0.5:
+ * 0.5 = exp(-p × ∫N(s)ds)
+ * p × ∫N(s)ds = ln(2)
+ * For a constant population this is t = ln(2) / (p × N); time-varying
+ * populations are solved numerically and may never reach 50% if the
+ * conspirators die off or are removed quickly enough
+ * 
+ * @param {number} conspirators - Number of people involved
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Population model options
+ * @returns {number} Expected years until 50% probability of exposure
+ */
+function calculateExpectedTimeUntilExposure(conspirators, professionType, options = {}) {
+    try {
+        validateInputs(conspirators, 0, professionType, options); // years = 0 for this calculation
+        
+        const cacheKey = createCacheKey(conspirators, 0, professionType, 'expected', options);
+        
+        return getCachedOrCalculate(cacheKey, () => computeExpectedTime(conspirators, professionType, options));
+    } catch (error) {
+        console.error('Error calculating expected time:', error);
+        return Infinity;
+    }
+}
+
+/**
+ * Generate probability data over time for charting
+ * 
+ * @param {number} conspirators - Number of people involved
+ * @param {string} professionType - Type of conspirators
+ * @param {number} maxYears - Maximum years to calculate
+ * @param {object} options - Population model options
+ * @returns {Array} Array of {year, probability, logProbability, population} objects
+ *                  (probability in %, logProbability as log₁₀ of the probability,
+ *                  population as the number of people in on it, recruits included)
+ */
+function generateProbabilityOverTime(conspirators, professionType, maxYears = 100, options = {}) {
+    try {
+        validateInputs(conspirators, 0, professionType, options);
+        
+        const cacheKey = createCacheKey(conspirators, maxYears, professionType, 'series', options);
+        
+        return getCachedOrCalculate(cacheKey, () => {
+            const data = [];
+            
+            // Optimize step size based on data range
+            const step = getSeriesStep(maxYears);
+            
+            let cumulativeHazard = 0;
+            let previousYear = 0;
+            
+            for (let year = 0; year <= maxYears; year += step) {
+                // Accumulate the hazard step by step rather than re-integrating from zero
+                cumulativeHazard += calculateHazardBetween(conspirators, previousYear, year, professionType, options);
+                previousYear = year;
+                
+                const exponent = -cumulativeHazard;
+                let probability;
+                
+                // Handle extreme values efficiently
+                if (exponent < -500) {
+                    probability = 0;
+                } else if (exponent > 0) {
+                    probability = 100;
+                } else {
+                    probability = Math.exp(exponent) * 100;
+                }
+                
+                data.push({
+                    year: year,
+                    probability: Math.max(0, Math.min(100, probability)),
+                    logProbability: -cumulativeHazard / Math.LN10,
+                    population: calculatePeopleInOnIt(conspirators, year, professionType, options)
+                });
+                
+                // Early termination when probability becomes negligible
+                if (probability < 0.01 && year > 10) break;
+            }
+            
+            return data;
+        });
+    } catch (error) {
+        console.error('Error generating probability over time:', error);
+        return [{year: 0, probability: 100}]; // Fallback data
+    }
+}
+
+/**
+ * log₁₀ of the survival probability at each of the given years
+ * Unlike generateProbabilityOverTime the series never stops early, so a curve can
+ * be followed on a log scale long after its probability underflows to 0
+ * 
+ * @param {number} conspirators - Number of people involved
+ * @param {string} professionType - Type of conspirators
+ * @param {Array} years - Increasing years to evaluate
+ * @param {object} options - Model options
+ * @returns {Array} Array of {year, logProbability} objects (empty if the inputs are invalid)
+ */
+function generateLogSurvivalSeries(conspirators, professionType, years, options = {}) {
+    try {
+        validateInputs(conspirators, 0, professionType, options);
+        
+        let cumulativeHazard = 0;
+        let previousYear = 0;
+        return years.map(year => {
+            cumulativeHazard += calculateHazardBetween(conspirators, previousYear, year, professionType, options);
+            previousYear = year;
+            return { year: year, logProbability: -cumulativeHazard / Math.LN10 };
+        });
+    } catch (error) {
+        console.error('Error generating log survival series:', error);
+        return [];
+    }
+}
+
+/**
+ * Log-scaled grid of survival probabilities over conspirator counts and durations
+ * Each cell holds log₁₀ P at its centre; within a column the hazard is accumulated
+ * year band by year band rather than re-integrated from zero for every cell
+ * 
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options; groups are ignored so every cell uses the one profession
+ * @param {object} bounds - Optional {minConspirators, maxConspirators, minYears, maxYears, columns, rows}
+ * @returns {object|null} {conspirators, years, logSurvival, bounds} where conspirators and years are
+ *                        the cell centres and logSurvival[column][row] their log₁₀ survival,
+ *                        or null if the grid can't be computed
+ */
+function generateSurvivalGrid(professionType, options = {}, bounds = {}) {
+    try {
+        const settings = { ...SURVIVAL_GRID_DEFAULTS, ...bounds };
+        const { groups, ...gridOptions } = options;
+        validateInputs(settings.maxConspirators, settings.maxYears, professionType, gridOptions);
+        
+        const logSpaced = (min, max, count) => {
+            const step = (Math.log10(max) - Math.log10(min)) / count;
+            return Array.from({ length: count }, (_, i) => Math.pow(10, Math.log10(min) + (i + 0.5) * step));
+        };
+        const conspiratorCentres = logSpaced(settings.minConspirators, settings.maxConspirators, settings.columns);
+        const yearCentres = logSpaced(settings.minYears, settings.maxYears, settings.rows);
+        
+        const cacheKey = createCacheKey(settings.maxConspirators, settings.maxYears, professionType,
+            `grid-${settings.minConspirators}-${settings.minYears}-${settings.columns}x${settings.rows}`, gridOptions);
+        
+        const logSurvival = getCachedOrCalculate(cacheKey, () => conspiratorCentres.map(conspirators => {
+            let cumulativeHazard = 0;
+            let previousYear = 0;
+            return yearCentres.map(year => {
+                cumulativeHazard += calculateHazardBetween(conspirators, previousYear, year, professionType, gridOptions);
+                previousYear = year;
+                return -cumulativeHazard / Math.LN10;
+            });
+        }));
+        
+        return {
+            conspirators: conspiratorCentres,
+            years: yearCentres,
+            logSurvival: logSurvival,
+            bounds: settings
+        };
+    } catch (error) {
+        console.error('Error generating survival grid:', error);
+        return null;
+    }
+}
+
+/**
+ * Trace the iso-probability line P = probability through a survival grid
+ * Survival only falls with time, so each column crosses the level at most once;
+ * the crossing is interpolated between the rows on either side (in log years)
+ * 
+ * @param {object} grid - Result of generateSurvivalGrid
+ * @param {number} probability - Survival probability of the contour (0 to 1)
+ * @returns {Array} Points {conspirators, years} along the contour, for the columns it crosses
+ */
+function traceSurvivalContour(grid, probability) {
+    const level = Math.log10(probability);
+    const points = [];
+    
+    grid.logSurvival.forEach((column, i) => {
+        const row = column.findIndex(logValue => logValue <= level);
+        if (row <= 0) return; // Already below the level at the shortest duration, or never reaches it
+        
+        const fraction = (column[row - 1] - level) / (column[row - 1] - column[row]);
+        const logYears = Math.log10(grid.years[row - 1]) +
+            fraction * (Math.log10(grid.years[row]) - Math.log10(grid.years[row - 1]));
+        points.push({ conspirators: grid.conspirators[i], years: Math.pow(10, logYears) });
+    });
+    
+    return points;
+}
+
+/**
+ * Distribution of the time to first leak
+ * The survival curve S(t) = exp(-Λ(t)) is the tail of the time T until the first
+ * exposing leak, so T has hazard h(t), density f(t) = h(t) × S(t) and CDF 1 - S(t).
+ * Leaks arrive as a Poisson process, so the number of leaks by year t is Poisson
+ * with mean Λ(t). With the belief stage on these describe the believed leaks; pass
+ * withoutBeliefStage(options) for every leak.
+ */
+
+/**
+ * Calculate the hazard rate of the first leak at time t (leaks per year)
+ * 
+ * @param {number} conspirators - Number of people involved
+ * @param {number} years - Time in years (t)
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options
+ * @returns {number} Instantaneous hazard h(t) = Σ p_g × N_g(t)
+ */
+function calculateHazardRate(conspirators, years, professionType, options = {}) {
+    try {
+        validateInputs(conspirators, years, professionType, options);
+        return computeHazardRate(conspirators, years, professionType, options);
+    } catch (error) {
+        console.error('Error calculating hazard rate:', error);
+        return 0;
+    }
+}
+
 /**
- * Validate input parameters
+ * Calculate the probability density of the first leak at time t
+ * 
+ * @param {number} conspirators - Number of people involved
+ * @param {number} years - Time in years (t)
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options
+ * @returns {number} Density f(t) = h(t) × S(t), per year
  */
-function validateInputs(conspirators, years, professionType) {
-    if (typeof conspirators !== 'number' || conspirators < 1 || conspirators > 10000000) {
-        throw new Error('Invalid number of conspirators');
-    }
-    if (typeof years !== 'number' || years < 0 || years > 1000) {
-        throw new Error('Invalid number of years');
-    }
-    if (!LEAK_RATES.hasOwnProperty(professionType)) {
-        throw new Error('Invalid profession type');
+function calculateFirstLeakDensity(conspirators, years, professionType, options = {}) {
+    try {
+        validateInputs(conspirators, years, professionType, options);
+        return computeHazardRate(conspirators, years, professionType, options) *
+            calculateSurvivalProbability(conspirators, years, professionType, options);
+    } catch (error) {
+        console.error('Error calculating first leak density:', error);
+        return 0;
     }
 }
 
 /**
- * Create cache key for memoization
+ * Calculate the cumulative distribution of the first leak time, P(T ≤ t)
+ * This is the same number as the exposure probability
+ * 
+ * @param {number} conspirators - Number of people involved
+ * @param {number} years - Time in years (t)
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options
+ * @returns {number} Probability (0 to 1) the first leak has happened by year t
  */
-function createCacheKey(conspirators, years, professionType, operation) {
-    return `${operation}-${conspirators}-${years}-${professionType}`;
+function calculateFirstLeakCDF(conspirators, years, professionType, options = {}) {
+    return calculateExposureProbability(conspirators, years, professionType, options);
 }
 
 /**
- * Get cached result or calculate and cache
+ * Calculate a quantile of the first leak time: the year by which the first leak
+ * has happened with the given probability
+ * Solves Λ(t) = -ln(1 - q); the median (q = 0.5) is the expected time until exposure
+ * 
+ * @param {number} quantile - Probability q (0 to 1)
+ * @param {number} conspirators - Number of people involved
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options
+ * @returns {number} Years, or Infinity if the probability is never reached
  */
-function getCachedOrCalculate(key, calculationFn) {
-    if (calculationCache.has(key)) {
-        return calculationCache.get(key);
+function calculateFirstLeakQuantile(quantile, conspirators, professionType, options = {}) {
+    try {
+        if (typeof quantile !== 'number' || isNaN(quantile) || quantile < 0 || quantile >= 1) {
+            throw new Error('Quantile must be at least 0 and below 1');
+        }
+        validateInputs(conspirators, 0, professionType, options);
+        if (quantile === 0) return 0;
+        
+        const cacheKey = createCacheKey(conspirators, quantile, professionType, 'quantile', options);
+        
+        return getCachedOrCalculate(cacheKey, () => {
+            const targetHazard = -Math.log(1 - quantile);
+            const totalLeakRate = calculateTotalLeakRate(conspirators, professionType, options);
+            
+            if (totalLeakRate <= 0) return Infinity;
+            if (hasConstantHazard(options)) {
+                return targetHazard / totalLeakRate;
+            }
+            return solveTimeForHazard(targetHazard, conspirators, professionType, options);
+        });
+    } catch (error) {
+        console.error('Error calculating first leak quantile:', error);
+        return NaN;
     }
-    
-    const result = calculationFn();
-    
-    // Manage cache size
-    if (calculationCache.size >= CACHE_SIZE_LIMIT) {
-        const firstKey = calculationCache.keys().next().value;
-        calculationCache.delete(firstKey);
+}
+
+/**
+ * Calculate the median time to first leak
+ * 
+ * @param {number} conspirators - Number of people involved
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options
+ * @returns {number} Years until the first leak is as likely as not
+ */
+function calculateMedianFirstLeakTime(conspirators, professionType, options = {}) {
+    return calculateFirstLeakQuantile(0.5, conspirators, professionType, options);
+}
+
+/**
+ * Calculate the mean time to first leak
+ * 
+ * @param {number} conspirators - Number of people involved
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options
+ * @returns {object} {mean, isLowerBound}: mean years until the first leak (Infinity if nobody
+ *                   can leak), or with isLowerBound the years integrated so far when survival
+ *                   is still not negligible after MAX_MEAN_HORIZON_YEARS or never will be
+ *                   (e.g. everyone dies first), so the mean is longer than that
+ */
+function calculateMeanFirstLeakTime(conspirators, professionType, options = {}) {
+    try {
+        validateInputs(conspirators, 0, professionType, options);
+        
+        const cacheKey = createCacheKey(conspirators, 0, professionType, 'mean', options);
+        
+        return getCachedOrCalculate(cacheKey, () => computeMeanFirstLeakTime(conspirators, professionType, options));
+    } catch (error) {
+        console.error('Error calculating mean first leak time:', error);
+        return { mean: Infinity, isLowerBound: false };
     }
-    
-    calculationCache.set(key, result);
-    return result;
 }
 
 /**
- * Calculate the probability that a conspiracy survives unexposed
- * Using Dr. Grimes' formula: P(t) = exp(-p × N × t)
+ * Calculate the expected number of leaks by year t
  * 
- * @param {number} conspirators - Number of people involved (N)
+ * @param {number} conspirators - Number of people involved
  * @param {number} years - Time in years (t)
- * @param {string} professionType - Type of conspirators (key from LEAK_RATES)
- * @returns {number} Probability (0 to 1) that conspiracy remains unexposed
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options
+ * @returns {number} Expected leaks Λ(t)
  */
-function calculateSurvivalProbability(conspirators, years, professionType) {
+function calculateExpectedLeaks(conspirators, years, professionType, options = {}) {
     try {
-        validateInputs(conspirators, years, professionType);
+        validateInputs(conspirators, years, professionType, options);
         
-        const cacheKey = createCacheKey(conspirators, years, professionType, 'survival');
+        const cacheKey = createCacheKey(conspirators, years, professionType, 'leaks', options);
         
-        return getCachedOrCalculate(cacheKey, () => {
-            const leakRate = LEAK_RATES[professionType];
-            const exponent = -leakRate * conspirators * years;
-            
-            // Handle extreme values
-            if (exponent < -500) return 0; // Prevent underflow
-            if (exponent > 0) return 1;
-            
-            return Math.exp(exponent);
-        });
+        return getCachedOrCalculate(cacheKey, () => calculateCumulativeHazard(conspirators, years, professionType, options));
     } catch (error) {
-        console.error('Error calculating survival probability:', error);
+        console.error('Error calculating expected leaks:', error);
         return 0;
     }
 }
 
 /**
- * Calculate the probability that a conspiracy has been exposed by now
+ * Calculate the probability of at least k leaks by year t
  * 
+ * @param {number} leaks - Number of leaks k (non-negative integer)
  * @param {number} conspirators - Number of people involved
- * @param {number} years - Time in years
+ * @param {number} years - Time in years (t)
  * @param {string} professionType - Type of conspirators
- * @returns {number} Probability (0 to 1) that conspiracy has been exposed
+ * @param {object} options - Model options
+ * @returns {number} Probability (0 to 1) of k or more leaks; k = 1 gives the exposure probability
  */
-function calculateExposureProbability(conspirators, years, professionType) {
+function calculateProbabilityOfLeaks(leaks, conspirators, years, professionType, options = {}) {
     try {
-        const survivalProb = calculateSurvivalProbability(conspirators, years, professionType);
-        return Math.max(0, Math.min(1, 1 - survivalProb)); // Clamp between 0 and 1
+        if (!Number.isInteger(leaks) || leaks < 0) {
+            throw new Error('Number of leaks must be a non-negative integer');
+        }
+        return poissonTailProbability(calculateExpectedLeaks(conspirators, years, professionType, options), leaks);
     } catch (error) {
-        console.error('Error calculating exposure probability:', error);
-        return 1; // Assume exposed if calculation fails
+        console.error('Error calculating probability of leaks:', error);
+        return 0;
     }
 }
 
 /**
- * Calculate expected time until exposure (in years)
- * This is when the survival probability drops to ~50%
- * Solving for t when P(t) = 0.5:
- * 0.5 = exp(-p × N × t)
- * ln(0.5) = -p × N × t
- * t = ln(0.5) / (-p × N)
- * t = 0.693 / (p × N)
+ * Generate the first leak density and survival curve for charting
+ * Sampled at evenly spaced points, since the density can rise and fall within a year
  * 
  * @param {number} conspirators - Number of people involved
  * @param {string} professionType - Type of conspirators
- * @returns {number} Expected years until 50% probability of exposure
+ * @param {number} maxYears - Maximum years to calculate
+ * @param {object} options - Model options
+ * @param {number} points - Number of intervals to sample
+ * @returns {Array} Array of {year, density, probability} objects (density in % per year, probability in %)
  */
-function calculateExpectedTimeUntilExposure(conspirators, professionType) {
+function generateFirstLeakDistribution(conspirators, professionType, maxYears = 100, options = {}, points = 100) {
     try {
-        validateInputs(conspirators, 0, professionType); // years = 0 for this calculation
+        validateInputs(conspirators, maxYears, professionType, options);
         
-        const cacheKey = createCacheKey(conspirators, 0, professionType, 'expected');
+        const cacheKey = createCacheKey(conspirators, maxYears, professionType, `density${points}`, options);
         
         return getCachedOrCalculate(cacheKey, () => {
-            const leakRate = LEAK_RATES[professionType];
+            const data = [];
+            const step = maxYears / points;
+            let cumulativeHazard = 0;
             
-            if (conspirators <= 0 || leakRate <= 0) {
-                return Infinity;
+            for (let i = 0; i <= points; i++) {
+                const year = i * step;
+                if (i > 0) {
+                    cumulativeHazard += calculateHazardBetween(conspirators, year - step, year, professionType, options);
+                }
+                const survival = Math.exp(-cumulativeHazard);
+                
+                const density = computeHazardRate(conspirators, year, professionType, options) * survival * 100;
+                data.push({
+                    year: year,
+                    density: isFinite(density) ? density : null, // Infinite at t = 0 for Weibull shapes below 1
+                    probability: survival * 100
+                });
             }
             
-            const result = 0.693 / (leakRate * conspirators);
-            return Math.max(0, result); // Ensure non-negative
+            return data;
         });
     } catch (error) {
-        console.error('Error calculating expected time:', error);
-        return Infinity;
+        console.error('Error generating first leak distribution:', error);
+        return [{year: 0, density: 0, probability: 100}];
     }
 }
 
 /**
- * Generate probability data over time for charting
+ * Split the exposure risk into insider leaks and outside discovery
+ * The two compete: the chance the conspiracy was first uncovered by outsiders
+ * is ∫ δ × S(s) ds over [0, t], and insiders account for the rest
  * 
  * @param {number} conspirators - Number of people involved
+ * @param {number} years - Time in years
  * @param {string} professionType - Type of conspirators
- * @param {number} maxYears - Maximum years to calculate
- * @returns {Array} Array of {year, probability} objects
+ * @param {object} options - Model options, including populationAffected and discoveryRate
+ * @returns {object} {insiderLeak: {share, probability}, outsideDiscovery: {share, probability}, discoveryRate},
+ *                   where probability is the chance of exposure by that route by year t and share its
+ *                   fraction of the exposure probability
  */
-function generateProbabilityOverTime(conspirators, professionType, maxYears = 100) {
+function calculateExposureBreakdown(conspirators, years, professionType, options = {}) {
     try {
-        validateInputs(conspirators, 0, professionType);
+        validateInputs(conspirators, years, professionType, options);
         
-        const cacheKey = createCacheKey(conspirators, maxYears, professionType, 'series');
+        const cacheKey = createCacheKey(conspirators, years, professionType, 'breakdown', options);
         
         return getCachedOrCalculate(cacheKey, () => {
-            const data = [];
+            const discoveryRate = getDiscoveryRate(options);
+            const exposureProb = calculateExposureProbability(conspirators, years, professionType, options);
             
-            // Optimize step size based on data range
-            let step = 1;
-            if (maxYears > 200) step = 10;
-            else if (maxYears > 100) step = 5;
-            else if (maxYears > 50) step = 2;
+            let discoveryProb = 0;
+            if (discoveryRate > 0) {
+                discoveryProb = hasConstantHazard(options)
+                    // Constant hazards stay proportional, so each route's share is its share of the rate
+                    ? exposureProb * discoveryRate / calculateTotalLeakRate(conspirators, professionType, options)
+                    : discoveryRate * integrateOverSurvival(() => 1, conspirators, years, professionType, options).integral;
+                discoveryProb = Math.min(discoveryProb, exposureProb);
+            }
             
-            const leakRate = LEAK_RATES[professionType];
+            // Before any time has passed, fall back to each route's share of the initial rate
+            const discoveryShare = exposureProb > 0
+                ? discoveryProb / exposureProb
+                : discoveryRate / (calculateTotalLeakRate(conspirators, professionType, options) || 1);
             
-            for (let year = 0; year <= maxYears; year += step) {
-                const exponent = -leakRate * conspirators * year;
-                let probability;
-                
-                // Handle extreme values efficiently
-                if (exponent < -500) {
-                    probability = 0;
-                } else if (exponent > 0) {
-                    probability = 100;
-                } else {
-                    probability = Math.exp(exponent) * 100;
-                }
-                
-                data.push({
-                    year: year,
-                    probability: Math.max(0, Math.min(100, probability))
-                });
-                
-                // Early termination when probability becomes negligible
-                if (probability < 0.01 && year > 10) break;
-            }
+            return {
+                insiderLeak: {
+                    share: 1 - discoveryShare,
+                    probability: exposureProb - discoveryProb
+                },
+                outsideDiscovery: {
+                    share: discoveryShare,
+                    probability: discoveryProb
+                },
+                discoveryRate: discoveryRate
+            };
+        });
+    } catch (error) {
+        console.error('Error calculating exposure breakdown:', error);
+        return {
+            insiderLeak: { share: 1, probability: 0 },
+            outsideDiscovery: { share: 0, probability: 0 },
+            discoveryRate: 0
+        };
+    }
+}
+
+/**
+ * Break down each conspirator group's share of the insider leak risk
+ * Every group follows the same population model, so their hazards stay proportional
+ * and a group's share of the hazard is also its share of the insider exposure probability
+ * 
+ * @param {number} conspirators - Number of people involved (single-group scenarios)
+ * @param {number} years - Time in years
+ * @param {string} professionType - Type of conspirators (single-group scenarios)
+ * @param {object} options - Model options, including groups
+ * @returns {Array} Array of {name, conspirators, professionType, leakRate, leakExposureProbability,
+ *                  share, exposureProbability} objects, where exposureProbability is the chance
+ *                  the conspiracy has been exposed through this group (outside discovery excluded)
+ */
+function calculateGroupContributions(conspirators, years, professionType, options = {}) {
+    try {
+        validateInputs(conspirators, years, professionType, options);
+        
+        const groups = resolveGroups(conspirators, professionType, options);
+        const hazards = calculateGroupHazards(conspirators, 0, years, professionType, options);
+        const totalHazard = hazards.reduce((sum, hazard) => sum + hazard, 0);
+        const insiderExposureProb = calculateExposureBreakdown(conspirators, years, professionType, options).insiderLeak.probability;
+        const totalRate = calculateInsiderLeakRate(conspirators, professionType, options);
+        
+        return groups.map((group, index) => {
+            // Before any time has passed, fall back to each group's share of the leak rate
+            const share = totalHazard > 0
+                ? hazards[index] / totalHazard
+                : totalRate > 0 ? (getGroupExposureRate(group, options) * group.conspirators) / totalRate : 0;
             
-            return data;
+            return {
+                name: group.name || null,
+                conspirators: group.conspirators,
+                professionType: group.professionType || null,
+                leakRate: getGroupLeakRate(group, options),
+                leakExposureProbability: group.leakExposureProbability ?? 1,
+                share: share,
+                exposureProbability: share * insiderExposureProb
+            };
         });
     } catch (error) {
-        console.error('Error generating probability over time:', error);
-        return [{year: 0, probability: 100}]; // Fallback data
+        console.error('Error calculating group contributions:', error);
+        return [];
+    }
+}
+
+/**
+ * Validate a target survival probability for the inverse solvers
+ */
+function validateTargetSurvival(targetSurvival) {
+    if (typeof targetSurvival !== 'number' || targetSurvival <= 0 || targetSurvival >= 1) {
+        throw new Error('Target survival probability must be between 0 and 1');
+    }
+}
+
+/**
+ * Scale a scenario to a new total number of conspirators, keeping group proportions
+ */
+function scaleScenarioConspirators(professionType, options, newTotal) {
+    const groups = resolveGroups(1, professionType, options);
+    const currentTotal = groups.reduce((sum, group) => sum + group.conspirators, 0);
+    
+    return {
+        ...options,
+        groups: groups.map(group => ({ ...group, conspirators: group.conspirators * newTotal / currentTotal }))
+    };
+}
+
+/**
+ * Solve for the largest number of conspirators that keeps the survival
+ * probability at or above a target after a given number of years
+ * Mixed-group scenarios keep their group proportions
+ * 
+ * @param {number} targetSurvival - Target probability (0 to 1) of remaining secret
+ * @param {number} years - Time in years
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options (groups give the proportions to scale)
+ * @returns {number} Maximum whole number of conspirators (0 if even one is too many)
+ */
+function solveMaxConspirators(targetSurvival, years, professionType, options = {}) {
+    try {
+        validateTargetSurvival(targetSurvival);
+        validateInputs(1, years, professionType, options);
+        
+        const targetHazard = -Math.log(targetSurvival);
+        const hazardFor = total => calculateCumulativeHazard(total, years, professionType,
+            scaleScenarioConspirators(professionType, options, total));
+        
+        if (hazardFor(1) > targetHazard) return 0;
+        if (hazardFor(10000000) <= targetHazard) return 10000000;
+        
+        // Hazard grows with every extra conspirator, so bisect on the whole count
+        let low = 1;
+        let high = 10000000;
+        while (high - low > 1) {
+            const mid = Math.floor((low + high) / 2);
+            if (hazardFor(mid) <= targetHazard) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    } catch (error) {
+        console.error('Error solving for conspirators:', error);
+        return NaN;
+    }
+}
+
+/**
+ * Solve for the longest time the survival probability stays at or above a target
+ * 
+ * @param {number} targetSurvival - Target probability (0 to 1) of remaining secret
+ * @param {number} conspirators - Number of people involved
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options
+ * @returns {number} Maximum years (Infinity if the target is never crossed)
+ */
+function solveMaxDuration(targetSurvival, conspirators, professionType, options = {}) {
+    try {
+        validateTargetSurvival(targetSurvival);
+        validateInputs(conspirators, 0, professionType, options);
+        
+        const targetHazard = -Math.log(targetSurvival);
+        if (hasConstantHazard(options)) {
+            return targetHazard / calculateTotalLeakRate(conspirators, professionType, options);
+        }
+        return solveTimeForHazard(targetHazard, conspirators, professionType, options);
+    } catch (error) {
+        console.error('Error solving for duration:', error);
+        return NaN;
+    }
+}
+
+/**
+ * Solve for the leak rate needed to hit a target survival probability, and
+ * check which professions are secretive enough
+ * Mixed-group scenarios report the largest factor all current group rates could be
+ * multiplied by; each profession is then tested as if everyone belonged to it
+ * 
+ * @param {number} targetSurvival - Target probability (0 to 1) of remaining secret
+ * @param {number} conspirators - Number of people involved
+ * @param {number} years - Time in years
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options
+ * @returns {object|null} {maxLeakRate, maxLeakRateScale, professions: [{professionType, leakRate, survival, meetsTarget}]}
+ */
+function solveRequiredProfession(targetSurvival, conspirators, years, professionType, options = {}) {
+    try {
+        validateTargetSurvival(targetSurvival);
+        validateInputs(conspirators, years, professionType, options);
+        
+        // Outsider discovery doesn't depend on leak rates, so only the insiders' share of the hazard scales
+        const targetHazard = -Math.log(targetSurvival) - getDiscoveryRate(options) * years;
+        const hazard = calculateGroupHazards(conspirators, 0, years, professionType, options)
+            .reduce((sum, groupHazard) => sum + groupHazard, 0);
+        const maxLeakRateScale = targetHazard <= 0 ? 0 : hazard > 0 ? targetHazard / hazard : Infinity;
+        const { groups, ...singleGroupOptions } = options;
+        
+        return {
+            maxLeakRate: getLeakRate(professionType, options) * maxLeakRateScale,
+            maxLeakRateScale: maxLeakRateScale,
+            professions: Object.keys(LEAK_RATES).map(type => {
+                const survival = Math.exp(-calculateCumulativeHazard(conspirators, years, type, singleGroupOptions));
+                return {
+                    professionType: type,
+                    leakRate: getLeakRate(type, singleGroupOptions),
+                    survival: survival,
+                    meetsTarget: survival >= targetSurvival
+                };
+            })
+        };
+    } catch (error) {
+        console.error('Error solving for profession:', error);
+        return null;
+    }
+}
+
+/**
+ * Posterior probability that a conspiracy is real given it has not been exposed
+ * Bayes' rule, assuming a conspiracy that doesn't exist can never be exposed:
+ * P(real | unexposed) = π × S(t) / (π × S(t) + (1 - π))
+ * where π is the prior and S(t) the survival probability
+ * 
+ * @param {number} prior - Prior probability (0 to 1) that the conspiracy exists
+ * @param {number} survivalProb - Probability (0 to 1) it would remain unexposed if real
+ * @returns {number} Posterior probability (0 to 1)
+ */
+function calculatePosteriorFromSurvival(prior, survivalProb) {
+    if (typeof prior !== 'number' || prior < 0 || prior > 1) {
+        throw new Error('Invalid prior probability');
+    }
+    if (prior === 1) return 1;
+    
+    const evidenceIfReal = prior * survivalProb;
+    return evidenceIfReal / (evidenceIfReal + (1 - prior));
+}
+
+/**
+ * Posterior probability in log space, for survival probabilities too small to hold as numbers
+ * 
+ * @param {number} prior - Prior probability (0 to 1) that the conspiracy exists
+ * @param {number} logSurvival - log₁₀ of the probability it would remain unexposed if real
+ * @returns {number} log₁₀ of the posterior probability
+ */
+function calculateLogPosteriorFromLogSurvival(prior, logSurvival) {
+    if (typeof prior !== 'number' || prior < 0 || prior > 1) {
+        throw new Error('Invalid prior probability');
+    }
+    if (prior === 1) return 0;
+    if (prior === 0) return -Infinity;
+    
+    const logEvidenceIfReal = Math.log10(prior) + logSurvival;
+    const logEvidenceIfNot = Math.log10(1 - prior);
+    // log₁₀(10^a + 10^b) without leaving log space
+    const larger = Math.max(logEvidenceIfReal, logEvidenceIfNot);
+    const smaller = Math.min(logEvidenceIfReal, logEvidenceIfNot);
+    const logTotal = larger + Math.log10(1 + Math.pow(10, smaller - larger));
+    
+    return Math.min(0, logEvidenceIfReal - logTotal);
+}
+
+/**
+ * Calculate the posterior probability that a conspiracy is real, given no exposure after t years
+ * 
+ * @param {number} prior - Prior probability (0 to 1) that the conspiracy exists
+ * @param {number} conspirators - Number of people involved
+ * @param {number} years - Years without exposure
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options
+ * @returns {number} Posterior probability (0 to 1) that the conspiracy is real
+ */
+function calculatePosteriorProbability(prior, conspirators, years, professionType, options = {}) {
+    try {
+        const survivalProb = calculateSurvivalProbability(conspirators, years, professionType, options);
+        return calculatePosteriorFromSurvival(prior, survivalProb);
+    } catch (error) {
+        console.error('Error calculating posterior probability:', error);
+        return 0;
+    }
+}
+
+/**
+ * Generate the posterior probability over time for charting
+ * 
+ * @param {number} prior - Prior probability (0 to 1) that the conspiracy exists
+ * @param {number} conspirators - Number of people involved
+ * @param {string} professionType - Type of conspirators
+ * @param {number} maxYears - Maximum years to calculate
+ * @param {object} options - Model options
+ * @returns {Array} Array of {year, posterior} objects (posterior in %)
+ */
+function generatePosteriorOverTime(prior, conspirators, professionType, maxYears = 100, options = {}) {
+    try {
+        return generateProbabilityOverTime(conspirators, professionType, maxYears, options).map(point => ({
+            year: point.year,
+            posterior: calculatePosteriorFromSurvival(prior, point.probability / 100) * 100
+        }));
+    } catch (error) {
+        console.error('Error generating posterior over time:', error);
+        return [{year: 0, posterior: prior * 100}];
     }
 }
 
@@ -235,7 +1873,7 @@ function getCredibilityLevel(probability) {
  */
 function formatTimeDuration(years) {
     if (years === Infinity) {
-        return 'Never (no conspirators)';
+        return 'Never';
     }
     
     if (years < 1) {
@@ -255,17 +1893,68 @@ function formatTimeDuration(years) {
     return `${Math.round(years)} years`;
 }
 
+/**
+ * Write an integer with superscript characters
+ */
+function toSuperscript(value) {
+    return String(value).split('').map(character => SUPERSCRIPT_CHARACTERS[character] ?? character).join('');
+}
+
+/**
+ * Format a number given by its base-10 logarithm in scientific notation
+ * 
+ * @param {number} logValue - log₁₀ of the number
+ * @param {number} digits - Significant digits in the mantissa
+ * @returns {string} e.g. "3.2 × 10⁻⁸"
+ */
+function formatScientific(logValue, digits = 2) {
+    if (logValue === -Infinity) {
+        return '0';
+    }
+    
+    let exponent = Math.floor(logValue);
+    let mantissa = Number(Math.pow(10, logValue - exponent).toPrecision(digits));
+    if (mantissa >= 10) {
+        mantissa /= 10;
+        exponent += 1;
+    }
+    
+    return `${mantissa.toPrecision(digits)} × 10${toSuperscript(exponent)}`;
+}
+
+/**
+ * Format a probability given by its base-10 logarithm as odds
+ * 
+ * @param {number} logProbability - log₁₀ of the probability
+ * @returns {string} e.g. "1 in 4,000", or "1 in 10⁴⁷" beyond a million
+ */
+function formatOdds(logProbability) {
+    if (logProbability === -Infinity) {
+        return 'No chance';
+    }
+    
+    const orders = -logProbability;
+    if (orders < 6) {
+        return `1 in ${Math.round(Math.pow(10, orders)).toLocaleString()}`;
+    }
+    return `1 in 10${toSuperscript(Math.round(orders))}`;
+}
+
 /**
  * Format probability as percentage
+ * Probabilities below 0.001% are written in scientific notation, from their
+ * logarithm when given so that values which underflow to 0 still show
  * 
  * @param {number} probability - Probability (0 to 1)
+ * @param {number} logProbability - Optional log₁₀ of the probability
  * @returns {string} Formatted percentage string
  */
-function formatProbability(probability) {
+function formatProbability(probability, logProbability) {
     const percentage = probability * 100;
     
     if (percentage < 0.001) {
-        return '< 0.001%';
+        const logValue = logProbability ?? Math.log10(probability);
+        return logValue === -Infinity ? '0%' : `${formatScientific(logValue + 2)}%`;
     }
     
     if (percentage < 1) {
@@ -0,0 +1,269 @@
+/**
+ * Conspiracy Theorazine Leak Rate Calibration
+ * Fits per-profession leak rates to a dataset of exposed conspiracies by
+ * maximum likelihood, instead of relying on the hardcoded LEAK_RATES table
+ *
+ * Each record is {name, conspirators, yearsBeforeExposed, professionType, exposed}.
+ * Under the constant-population model a conspiracy of N people is exposed at
+ * rate p × N, so for one profession with k exposures over a total of
+ * T = Σ N_i × t_i person-years the likelihood is p^k × e^(-p × T) and:
+ *     p̂ = k / T
+ * Records with exposed = false are still secret after t years (censored) and
+ * add to T without adding to k.
+ */
+
+const CALIBRATION_DEFAULTS = {
+    confidence: 0.95
+};
+
+// Column names accepted for each field when importing a dataset
+const BENCHMARK_FIELD_ALIASES = {
+    name: ['name', 'conspiracy', 'title'],
+    conspirators: ['conspirators', 'n', 'people'],
+    yearsBeforeExposed: ['yearsbeforeexposed', 'years', 'duration'],
+    professionType: ['professiontype', 'profession', 'type'],
+    exposed: ['exposed']
+};
+
+/**
+ * Log of the gamma function (Lanczos approximation)
+ */
+function logGamma(x) {
+    const coefficients = [
+        76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    coefficients.forEach(c => {
+        y += 1;
+        series += c / y;
+    });
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Regularized lower incomplete gamma function P(a, x)
+ * Series expansion below a + 1, continued fraction above (Numerical Recipes)
+ */
+function regularizedGammaP(a, x) {
+    if (x <= 0) return 0;
+
+    const logPrefix = -x + a * Math.log(x) - logGamma(a);
+
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 500; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+        }
+        return sum * Math.exp(logPrefix);
+    }
+
+    let b = x + 1 - a;
+    let c = 1 / 1e-300;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < 1e-300) d = 1e-300;
+        c = b + an / c;
+        if (Math.abs(c) < 1e-300) c = 1e-300;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return 1 - Math.exp(logPrefix) * h;
+}
+
+/**
+ * Quantile of the chi-square distribution with df degrees of freedom
+ */
+function chiSquareQuantile(probability, df) {
+    if (probability <= 0) return 0;
+
+    const shape = df / 2;
+    let high = Math.max(1, shape);
+    while (regularizedGammaP(shape, high) < probability) {
+        high *= 2;
+    }
+
+    let low = 0;
+    for (let i = 0; i < 100; i++) {
+        const mid = (low + high) / 2;
+        if (regularizedGammaP(shape, mid) < probability) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return low + high; // 2 × gamma quantile
+}
+
+/**
+ * Normalize and validate one dataset record
+ */
+function normalizeBenchmarkRecord(record, index) {
+    const conspirators = Number(record.conspirators);
+    const years = Number(record.yearsBeforeExposed ?? record.years);
+    const professionType = String(record.professionType ?? record.profession ?? 'government').trim().toLowerCase();
+    const exposed = record.exposed === undefined || record.exposed === '' ||
+        !['false', '0', 'no'].includes(String(record.exposed).trim().toLowerCase());
+
+    if (!isFinite(conspirators) || conspirators < 1) {
+        throw new Error(`Row ${index + 1}: invalid number of conspirators`);
+    }
+    if (!isFinite(years) || years <= 0) {
+        throw new Error(`Row ${index + 1}: invalid number of years`);
+    }
+    if (!LEAK_RATES.hasOwnProperty(professionType)) {
+        throw new Error(`Row ${index + 1}: unknown profession "${professionType}"`);
+    }
+
+    return {
+        name: record.name ? String(record.name) : `Record ${index + 1}`,
+        conspirators: conspirators,
+        yearsBeforeExposed: years,
+        professionType: professionType,
+        exposed: exposed
+    };
+}
+
+/**
+ * Split one CSV line into fields, honouring double-quoted fields
+ */
+function splitCSVLine(line) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current.trim());
+    return fields;
+}
+
+/**
+ * Parse a benchmark dataset from CSV text
+ * The header row names the columns (name, conspirators, yearsBeforeExposed, professionType, exposed)
+ *
+ * @param {string} text - CSV text
+ * @returns {Array} Normalized dataset records
+ */
+function parseBenchmarkCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) {
+        throw new Error('CSV needs a header row and at least one record');
+    }
+
+    const header = splitCSVLine(lines[0]).map(column => column.toLowerCase().replace(/[\s_]/g, ''));
+    const columns = {};
+    Object.entries(BENCHMARK_FIELD_ALIASES).forEach(([field, aliases]) => {
+        const index = header.findIndex(column => aliases.includes(column));
+        if (index !== -1) columns[field] = index;
+    });
+
+    if (columns.conspirators === undefined || columns.yearsBeforeExposed === undefined) {
+        throw new Error('CSV must have conspirators and yearsBeforeExposed columns');
+    }
+
+    return lines.slice(1).map((line, index) => {
+        const values = splitCSVLine(line);
+        const record = {};
+        Object.entries(columns).forEach(([field, column]) => {
+            record[field] = values[column];
+        });
+        return normalizeBenchmarkRecord(record, index);
+    });
+}
+
+/**
+ * Parse a benchmark dataset from JSON text (an array of records, or {benchmarks: [...]})
+ *
+ * @param {string} text - JSON text
+ * @returns {Array} Normalized dataset records
+ */
+function parseBenchmarkJSON(text) {
+    const parsed = JSON.parse(text);
+    const records = Array.isArray(parsed) ? parsed : parsed.benchmarks;
+    if (!Array.isArray(records) || records.length === 0) {
+        throw new Error('JSON must be an array of benchmark records');
+    }
+    return records.map(normalizeBenchmarkRecord);
+}
+
+/**
+ * Fit leak rates per profession by maximum likelihood
+ * Confidence intervals are exact (Garwood) intervals for a Poisson rate:
+ * [χ²(α/2; 2k) / 2T, χ²(1 - α/2; 2k + 2) / 2T]
+ *
+ * @param {Array} dataset - Records of {conspirators, yearsBeforeExposed, professionType, exposed}
+ * @param {object} settings - {confidence} (default 0.95)
+ * @returns {object} {estimates: {professionType: {leakRate, lower, upper, exposures, personYears, records}}, rateSet}
+ *                   where rateSet holds only professions with at least one exposure, ready for options.leakRates
+ */
+function fitLeakRates(dataset, settings = {}) {
+    const { confidence } = { ...CALIBRATION_DEFAULTS, ...settings };
+    if (typeof confidence !== 'number' || confidence <= 0 || confidence >= 1) {
+        throw new Error('Confidence level must be between 0 and 1');
+    }
+
+    const alpha = 1 - confidence;
+    const records = dataset.map(normalizeBenchmarkRecord);
+    const totals = {};
+
+    records.forEach(record => {
+        const total = totals[record.professionType] || { exposures: 0, personYears: 0, records: 0 };
+        total.exposures += record.exposed ? 1 : 0;
+        total.personYears += record.conspirators * record.yearsBeforeExposed;
+        total.records += 1;
+        totals[record.professionType] = total;
+    });
+
+    const estimates = {};
+    const rateSet = {};
+
+    Object.entries(totals).forEach(([professionType, total]) => {
+        const { exposures, personYears } = total;
+        const leakRate = exposures / personYears;
+
+        estimates[professionType] = {
+            leakRate: leakRate,
+            lower: exposures > 0 ? chiSquareQuantile(alpha / 2, 2 * exposures) / (2 * personYears) : 0,
+            upper: chiSquareQuantile(1 - alpha / 2, 2 * exposures + 2) / (2 * personYears),
+            exposures: exposures,
+            personYears: personYears,
+            records: total.records
+        };
+
+        if (exposures > 0) {
+            rateSet[professionType] = leakRate;
+        }
+    });
+
+    return { estimates, rateSet };
+}
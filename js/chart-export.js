@@ -0,0 +1,474 @@
+/**
+ * Conspiracy Theorazine Chart Export
+ * Adds an export menu to every visualization: a high-resolution PNG, a vector
+ * SVG, and the underlying data series as CSV or JSON
+ *
+ * Every image carries a caption describing the scenario and the model behind
+ * it, so a chart pasted into slides or a handout still says what it shows.
+ * SVGs are rebuilt from the geometry Chart.js has already laid out (scales,
+ * elements and legend), so they line up exactly with the chart on screen;
+ * charts from the built-in renderer are exported from their own SVG.
+ */
+
+const EXPORT_DEFAULTS = {
+    pngScale: 3, // Pixel density of exported PNGs relative to the screen
+    captionLineHeight: 16,
+    captionPadding: 12,
+    fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif"
+};
+
+/**
+ * Exportable visualizations, keyed by the id of the element they are drawn in
+ * - chart: the Chart.js instance currently shown, if any
+ * The gauge is plain HTML, so it is redrawn from its last reading instead
+ */
+const CHART_EXPORTS = {
+    'probabilityGauge': { name: 'gauge', gauge: true },
+    'timeDecayChart': { name: 'time-decay', chart: () => timeDecayChart },
+    'firstLeakChart': { name: 'first-leak', chart: () => firstLeakChart },
+    'posteriorChart': { name: 'posterior', chart: () => posteriorChart },
+    'comparisonChart': { name: 'comparison', chart: () => comparisonChart },
+    'heatmapChart': { name: 'heatmap', chart: () => heatmapChart },
+    'sensitivityChart': { name: 'sensitivity', chart: () => sensitivityChart },
+    'simulationChart': { name: 'simulation', chart: () => simulationChart }
+};
+
+const EXPORT_FORMATS = {
+    'png': { label: 'PNG image (high resolution)', extension: 'png' },
+    'svg': { label: 'SVG image (vector)', extension: 'svg' },
+    'csv': { label: 'Data (CSV)', extension: 'csv' },
+    'json': { label: 'Data (JSON)', extension: 'json' }
+};
+
+// Caption lines describing the current scenario, set by the app on every recalculation
+let exportCaption = [];
+
+/**
+ * Set the caption printed under exported charts
+ *
+ * @param {Array} lines - Lines of text describing the scenario and model
+ */
+function setExportCaption(lines) {
+    exportCaption = Array.isArray(lines) ? lines : [];
+}
+
+/**
+ * SVG for the caption block, starting at the given y offset
+ */
+function svgCaption(top) {
+    const { captionLineHeight, captionPadding } = EXPORT_DEFAULTS;
+    return exportCaption.map((line, i) =>
+        svgText(captionPadding, top + captionPadding + (i + 0.75) * captionLineHeight, line,
+            { 'font-size': 11, fill: '#374151' })
+    ).join('\n');
+}
+
+/**
+ * Height the caption adds below an exported chart (CSS pixels)
+ */
+function getCaptionHeight() {
+    const { captionLineHeight, captionPadding } = EXPORT_DEFAULTS;
+    return exportCaption.length > 0 ? exportCaption.length * captionLineHeight + 2 * captionPadding : 0;
+}
+
+/**
+ * Wrap SVG content in a document with a white background and the caption underneath
+ */
+function wrapSVGDocument(content, width, height) {
+    const totalHeight = height + getCaptionHeight();
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}" font-family="${escapeXML(EXPORT_DEFAULTS.fontFamily)}">
+<rect width="${width}" height="${totalHeight}" fill="#ffffff"/>
+${content}
+${svgCaption(height)}
+</svg>`;
+}
+
+/**
+ * SVG for one Chart.js scale: grid lines, tick labels and title
+ */
+function svgScale(chart, scale) {
+    const area = chart.chartArea;
+    const options = scale.options;
+    const horizontal = scale.isHorizontal();
+    const parts = [];
+
+    scale.ticks.forEach((tick, i) => {
+        const pixel = scale.getPixelForTick(i);
+        const label = Array.isArray(tick.label) ? tick.label.join(' ') : tick.label;
+
+        if (options.grid?.display !== false && options.grid?.drawOnChartArea !== false) {
+            const color = typeof options.grid?.color === 'string' ? options.grid.color : 'rgba(0, 0, 0, 0.1)';
+            parts.push(horizontal
+                ? `<line x1="${formatCoordinate(pixel)}" y1="${formatCoordinate(area.top)}" x2="${formatCoordinate(pixel)}" y2="${formatCoordinate(area.bottom)}" stroke="${escapeXML(color)}"/>`
+                : `<line x1="${formatCoordinate(area.left)}" y1="${formatCoordinate(pixel)}" x2="${formatCoordinate(area.right)}" y2="${formatCoordinate(pixel)}" stroke="${escapeXML(color)}"/>`);
+        }
+        if (options.display !== false && label !== undefined && label !== '') {
+            if (horizontal) {
+                parts.push(svgText(pixel, scale.top + 16, label, { 'text-anchor': 'middle' }));
+            } else if (options.position === 'right') {
+                parts.push(svgText(scale.left + 8, pixel + 4, label, { 'text-anchor': 'start' }));
+            } else {
+                parts.push(svgText(scale.right - 8, pixel + 4, label, { 'text-anchor': 'end' }));
+            }
+        }
+    });
+
+    if (options.display !== false && options.title?.display && options.title.text) {
+        if (horizontal) {
+            parts.push(svgText((area.left + area.right) / 2, scale.bottom - 4, options.title.text, { 'text-anchor': 'middle' }));
+        } else {
+            const x = options.position === 'right' ? scale.right - 6 : scale.left + 12;
+            const y = (area.top + area.bottom) / 2;
+            parts.push(svgText(x, y, options.title.text,
+                { 'text-anchor': 'middle', transform: `rotate(-90 ${formatCoordinate(x)} ${formatCoordinate(y)})` }));
+        }
+    }
+
+    return parts.join('\n');
+}
+
+/**
+ * SVG for one dataset, drawn from the elements Chart.js has already positioned
+ */
+function svgDataset(chart, datasetIndex) {
+    const meta = chart.getDatasetMeta(datasetIndex);
+    const dataset = chart.data.datasets[datasetIndex];
+    const elements = meta.data.filter(element => !element.skip && isFinite(element.x) && isFinite(element.y));
+    const parts = [];
+
+    if (meta.type === 'bar') {
+        elements.forEach(element => {
+            const { x, y, base, width, height, horizontal } = element.getProps(['x', 'y', 'base', 'width', 'height', 'horizontal'], true);
+            const rect = horizontal
+                ? { x: Math.min(x, base), y: y - height / 2, width: Math.abs(x - base), height: height }
+                : { x: x - width / 2, y: Math.min(y, base), width: width, height: Math.abs(base - y) };
+            parts.push(`<rect x="${formatCoordinate(rect.x)}" y="${formatCoordinate(rect.y)}" width="${formatCoordinate(rect.width)}" height="${formatCoordinate(rect.height)}" fill="${escapeXML(element.options.backgroundColor)}" stroke="${escapeXML(element.options.borderColor)}" stroke-width="${element.options.borderWidth || 0}"/>`);
+        });
+        return parts.join('\n');
+    }
+
+    if (meta.type === 'line' && dataset.showLine !== false && elements.length > 1) {
+        const path = elements.map(element => `${formatCoordinate(element.x)},${formatCoordinate(element.y)}`).join(' ');
+        const lineOptions = meta.dataset?.options || {};
+        // Area fills down to the axis; fills between datasets are left to the lines themselves
+        if (dataset.fill === true || dataset.fill === 'origin' || dataset.fill === 'start') {
+            const first = elements[0];
+            const last = elements[elements.length - 1];
+            parts.push(`<polygon points="${formatCoordinate(first.x)},${formatCoordinate(chart.chartArea.bottom)} ${path} ${formatCoordinate(last.x)},${formatCoordinate(chart.chartArea.bottom)}" fill="${escapeXML(lineOptions.backgroundColor || 'none')}" stroke="none"/>`);
+        }
+        const dash = (lineOptions.borderDash || []).length > 0 ? ` stroke-dasharray="${lineOptions.borderDash.join(' ')}"` : '';
+        parts.push(`<polyline points="${path}" fill="none" stroke="${escapeXML(lineOptions.borderColor || dataset.borderColor)}" stroke-width="${lineOptions.borderWidth ?? 2}"${dash}/>`);
+    }
+
+    elements.forEach(element => {
+        const radius = element.options?.radius || 0;
+        if (radius > 0) {
+            parts.push(svgPoint(element.x, element.y, radius, element.options.pointStyle,
+                element.options.backgroundColor, element.options.borderColor));
+        }
+    });
+
+    return parts.join('\n');
+}
+
+/**
+ * SVG for the chart legend, using the boxes Chart.js laid it out in
+ */
+function svgLegend(chart) {
+    const legend = chart.legend;
+    if (!legend || chart.options.plugins?.legend?.display === false || !legend.legendHitBoxes) return '';
+
+    return legend.legendItems.map((item, i) => {
+        const box = legend.legendHitBoxes[i];
+        if (!box) return '';
+        const opacity = item.hidden ? ' opacity="0.4"' : '';
+        return `<g${opacity}><rect x="${formatCoordinate(box.left)}" y="${formatCoordinate(box.top + 1)}" width="36" height="10" fill="${escapeXML(item.fillStyle)}" stroke="${escapeXML(item.strokeStyle)}"/>` +
+            svgText(box.left + 42, box.top + 10, item.text) + '</g>';
+    }).join('\n');
+}
+
+/**
+ * Serialize a Chart.js chart to a standalone SVG document
+ */
+function chartToSVG(chart) {
+    // Charts from the built-in renderer are SVG already
+    if (chart.fallback) {
+        return wrapSVGDocument(chart.toSVGContent(), chart.width, chart.height);
+    }
+
+    const area = chart.chartArea;
+    const clipId = `clip-${chart.canvas.id || 'chart'}`;
+    const parts = [
+        `<defs><clipPath id="${clipId}"><rect x="${formatCoordinate(area.left)}" y="${formatCoordinate(area.top)}" width="${formatCoordinate(area.right - area.left)}" height="${formatCoordinate(area.bottom - area.top)}"/></clipPath></defs>`
+    ];
+
+    // The heatmap's cells are painted by a plugin rather than a dataset
+    const grid = chart.options.plugins?.survivalHeatmap?.grid;
+    if (grid) {
+        const cells = getHeatmapCells(grid, chart.scales).map(cell =>
+            `<rect x="${formatCoordinate(cell.x)}" y="${formatCoordinate(cell.y)}" width="${formatCoordinate(cell.width)}" height="${formatCoordinate(cell.height)}" fill="${cell.color}"/>`);
+        parts.push(`<g clip-path="url(#${clipId})">${cells.join('')}</g>`);
+    }
+
+    Object.values(chart.scales).forEach(scale => parts.push(svgScale(chart, scale)));
+
+    const datasets = chart.data.datasets
+        .map((dataset, i) => chart.isDatasetVisible(i) ? svgDataset(chart, i) : '')
+        .join('\n');
+    parts.push(`<g clip-path="url(#${clipId})">${datasets}</g>`);
+    parts.push(svgLegend(chart));
+
+    return wrapSVGDocument(parts.join('\n'), Math.round(chart.width), Math.round(chart.height));
+}
+
+/**
+ * Draw the probability gauge as SVG from its last reading
+ */
+function gaugeToSVG() {
+    const reading = gaugeReading;
+    const width = 360;
+    const height = 240;
+    const cx = width / 2;
+    const cy = 190;
+    const radius = 150;
+    const angle = (getGaugePosition(reading.logProbability) * 180 - 180) * Math.PI / 180;
+    const needleX = cx + (radius - 15) * Math.cos(angle);
+    const needleY = cy + (radius - 15) * Math.sin(angle);
+
+    const content = `<defs><linearGradient id="gaugeGradient">
+<stop offset="0%" stop-color="#ef4444"/><stop offset="50%" stop-color="#f59e0b"/><stop offset="100%" stop-color="#10b981"/>
+</linearGradient></defs>
+<path d="M ${cx - radius} ${cy} A ${radius} ${radius} 0 0 1 ${cx + radius} ${cy} Z" fill="url(#gaugeGradient)" opacity="0.3"/>
+<line x1="${cx}" y1="${cy}" x2="${formatCoordinate(needleX)}" y2="${formatCoordinate(needleY)}" stroke="#1f2937" stroke-width="4" stroke-linecap="round"/>
+<circle cx="${cx}" cy="${cy}" r="10" fill="#1f2937"/>
+${svgText(cx - radius, cy + 18, '0%', { 'text-anchor': 'start' })}
+${svgText(cx + radius, cy + 18, '100%', { 'text-anchor': 'end' })}
+${svgText(cx, cy + 42, formatProbability(reading.probability, reading.logProbability), { 'text-anchor': 'middle', 'font-size': 24, 'font-weight': 'bold', fill: '#1f2937' })}`;
+
+    return wrapSVGDocument(content, width, height + 20);
+}
+
+/**
+ * Render an SVG document onto a canvas at the given scale
+ */
+function rasterizeSVG(svg, scale) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.width * scale);
+            canvas.height = Math.round(image.height * scale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            resolve(canvas);
+        };
+        image.onerror = () => reject(new Error('Could not render the SVG'));
+        // A data: URL rather than a blob: one, which the site's CSP (img-src 'self' data:) would block
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    });
+}
+
+/**
+ * Draw a Chart.js chart at a higher pixel density with the caption underneath
+ * Chart.js redraws itself at the requested density, so the PNG stays sharp
+ * rather than being an enlarged screenshot
+ */
+async function chartToCanvas(chart, scale) {
+    if (chart.fallback) {
+        return rasterizeSVG(chartToSVG(chart), scale);
+    }
+
+    const originalRatio = chart.options.devicePixelRatio;
+    chart.stop(); // A running animation would postpone the resize past the copy below
+    chart.options.devicePixelRatio = scale;
+    chart.resize();
+    chart.update('none');
+
+    try {
+        const captionHeight = getCaptionHeight() * scale;
+        const canvas = document.createElement('canvas');
+        canvas.width = chart.canvas.width;
+        canvas.height = chart.canvas.height + captionHeight;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(chart.canvas, 0, 0);
+
+        if (captionHeight > 0) {
+            const caption = await rasterizeSVG(wrapSVGDocument('', Math.round(chart.width), 0), scale);
+            context.drawImage(caption, 0, chart.canvas.height);
+        }
+        return canvas;
+    } finally {
+        chart.options.devicePixelRatio = originalRatio;
+        chart.resize();
+        chart.update('none');
+    }
+}
+
+/**
+ * Data series behind a Chart.js chart, one entry per dataset
+ * Points pair the x value (category label or x coordinate) with the y value;
+ * object data points keep their extra fields (e.g. names, log probabilities)
+ */
+function getChartSeries(chart) {
+    const xTitle = chart.options.scales?.[chart.options.indexAxis === 'y' ? 'y' : 'x']?.title?.text ||
+        (chart.data.labels ? 'label' : 'x');
+    const series = chart.data.datasets.map((dataset, datasetIndex) => {
+        const yAxisID = dataset.yAxisID || (chart.options.indexAxis === 'y' ? 'x' : 'y');
+        const yTitle = chart.options.scales?.[yAxisID]?.title?.text || 'y';
+        const points = dataset.data.map((value, i) => {
+            if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                const { x, y, ...extra } = value;
+                return { [xTitle]: x, [yTitle]: y, ...extra };
+            }
+            // Floating bars run from one value to another; the far end is the one plotted
+            const y = Array.isArray(value) ? value[1] : value;
+            return { [xTitle]: chart.data.labels?.[i] ?? i, [yTitle]: y };
+        });
+        return { label: dataset.label || `Series ${datasetIndex + 1}`, points: points };
+    });
+
+    const grid = chart.options.plugins?.survivalHeatmap?.grid;
+    if (grid) {
+        series.unshift({
+            label: 'Survival grid',
+            points: grid.conspirators.flatMap((conspirators, i) => grid.years.map((years, j) => ({
+                conspirators: conspirators,
+                years: years,
+                logSurvival: grid.logSurvival[i][j]
+            })))
+        });
+    }
+
+    return series;
+}
+
+/**
+ * Data behind the probability gauge
+ */
+function getGaugeSeries() {
+    const reading = gaugeReading;
+    return [{
+        label: 'Probability gauge',
+        points: [{
+            probability: reading.probability,
+            logProbability: reading.logProbability,
+            gaugePosition: getGaugePosition(reading.logProbability)
+        }]
+    }];
+}
+
+/**
+ * Quote a value for CSV when it contains a separator, quote or line break
+ */
+function toCSVValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Long-format CSV of data series: one row per point, with the series in the first column
+ * The caption goes first as comment lines so the numbers keep their context
+ */
+function seriesToCSV(series) {
+    const columns = [];
+    series.forEach(entry => entry.points.forEach(point => {
+        Object.keys(point).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        });
+    }));
+
+    const rows = [['series', ...columns].map(toCSVValue).join(',')];
+    series.forEach(entry => entry.points.forEach(point => {
+        rows.push([entry.label, ...columns.map(column => point[column])].map(toCSVValue).join(','));
+    }));
+
+    return [...exportCaption.map(line => `# ${line}`), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Offer a blob to the user as a file download
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export one visualization in the given format
+ *
+ * @param {string} elementId - Id of the element the visualization is drawn in (a CHART_EXPORTS key)
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ */
+async function exportChart(elementId, format) {
+    try {
+        const entry = CHART_EXPORTS[elementId];
+        const chart = entry?.chart ? entry.chart() : null;
+        if (!entry || !EXPORT_FORMATS[format] || (!entry.gauge && !chart)) {
+            throw new Error('Nothing to export yet');
+        }
+
+        const filename = `theorazine-${entry.name}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+
+        if (format === 'svg') {
+            const svg = entry.gauge ? gaugeToSVG() : chartToSVG(chart);
+            downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), filename);
+        } else if (format === 'png') {
+            const canvas = entry.gauge
+                ? await rasterizeSVG(gaugeToSVG(), EXPORT_DEFAULTS.pngScale)
+                : await chartToCanvas(chart, EXPORT_DEFAULTS.pngScale);
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            downloadBlob(blob, filename);
+        } else {
+            const series = entry.gauge ? getGaugeSeries() : getChartSeries(chart);
+            const content = format === 'csv'
+                ? seriesToCSV(series)
+                : JSON.stringify({ caption: exportCaption, series: series }, null, 2);
+            downloadBlob(new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' }), filename);
+        }
+    } catch (error) {
+        console.error('Error exporting chart:', error);
+        if (typeof showErrorMessage === 'function') {
+            showErrorMessage('Could not export this chart. Please try again once it has finished drawing.');
+        }
+    }
+}
+
+/**
+ * Add an export menu next to the heading of every exportable visualization
+ */
+function initializeChartExports() {
+    Object.keys(CHART_EXPORTS).forEach(elementId => {
+        const container = document.getElementById(elementId)?.closest('.chart-container');
+        const heading = container?.querySelector('h3');
+        if (!heading || container.querySelector('.export-menu')) return;
+
+        const menu = document.createElement('details');
+        menu.className = 'export-menu';
+        menu.innerHTML = `<summary>⬇ Export</summary>
+            <div class="export-options">
+                ${Object.entries(EXPORT_FORMATS).map(([format, spec]) =>
+                    `<button type="button" data-format="${format}">${spec.label}</button>`).join('')}
+            </div>`;
+        menu.addEventListener('click', event => {
+            const format = event.target.closest('button')?.dataset.format;
+            if (!format) return;
+            menu.open = false;
+            exportChart(elementId, format);
+        });
+
+        const header = document.createElement('div');
+        header.className = 'chart-header';
+        heading.replaceWith(header);
+        header.append(heading, menu);
+    });
+}
@@ -5,7 +5,18 @@
 
 let timeDecayChart = null;
 let comparisonChart = null;
+let posteriorChart = null;
+let firstLeakChart = null;
+let simulationChart = null;
+let sensitivityChart = null;
+let heatmapChart = null;
 let chartUpdateDebouncer = null;
+let posteriorUpdateDebouncer = null;
+let firstLeakUpdateDebouncer = null;
+let heatmapUpdateDebouncer = null;
+
+// Last value shown on the probability gauge, kept for exports
+let gaugeReading = { probability: 0.5, logProbability: Math.log10(0.5) };
 
 // Chart configurations for reuse
 const CHART_DEFAULTS = {
@@ -54,7 +65,7 @@ function safeDestroyChart(chart) {
 }
 
 /**
- * Check if Chart.js is available and show fallback if not
+ * Check if Chart.js is available; without it charts are drawn by the built-in SVG renderer
  */
 function isChartJSAvailable() {
     return typeof Chart !== 'undefined';
@@ -65,10 +76,18 @@ function isChartJSAvailable() {
  */
 function showChartUnavailable(canvas) {
     if (canvas && canvas.parentElement) {
-        canvas.parentElement.innerHTML = '<p class="chart-unavailable">Chart visualization requires Chart.js library. Please disable ad blockers or use a different browser.</p>';
+        canvas.parentElement.innerHTML = '<p class="chart-unavailable">This chart could not be drawn. Please check your inputs or reload the page.</p>';
     }
 }
 
+/**
+ * Number of years shown on the time decay chart
+ * At least 2x current years, or 50 years minimum, capped at 200 for performance
+ */
+function getTimeDecayMaxYears(currentYears) {
+    return Math.max(50, Math.min(currentYears * 2, 200));
+}
+
 /**
  * Initialize or update the time decay chart
  * Shows how probability of survival decreases over time
@@ -76,51 +95,218 @@ function showChartUnavailable(canvas) {
  * @param {number} conspirators - Number of conspirators
  * @param {string} professionType - Type of conspirators
  * @param {number} currentYears - Current years active
+ * @param {object} options - Population model options
+ * @param {Array} uncertaintyBand - Optional Monte Carlo series of {year, lower, median, upper} (%)
  */
-function updateTimeDecayChart(conspirators, professionType, currentYears) {
+function updateTimeDecayChart(conspirators, professionType, currentYears, options = {}, uncertaintyBand = null) {
     // Debounce chart updates for better performance
     clearTimeout(chartUpdateDebouncer);
     chartUpdateDebouncer = setTimeout(() => {
-        doUpdateTimeDecayChart(conspirators, professionType, currentYears);
+        doUpdateTimeDecayChart(conspirators, professionType, currentYears, options, uncertaintyBand);
     }, 150);
 }
 
-function doUpdateTimeDecayChart(conspirators, professionType, currentYears) {
+function doUpdateTimeDecayChart(conspirators, professionType, currentYears, options = {}, uncertaintyBand = null) {
     const ctx = document.getElementById('timeDecayChart');
     if (!ctx) return;
     
-    if (!isChartJSAvailable()) {
-        showChartUnavailable(ctx);
-        return;
-    }
-    
     try {
-        // Calculate max years to show (at least 2x current years, or 50 years minimum)
-        const maxYears = Math.max(50, Math.min(currentYears * 2, 200)); // Cap at 200 for performance
-        const data = generateProbabilityOverTime(conspirators, professionType, maxYears);
+        const maxYears = getTimeDecayMaxYears(currentYears);
+        const data = generateProbabilityOverTime(conspirators, professionType, maxYears, options);
         
         // Prepare data for Chart.js
         const labels = data.map(d => d.year);
         const probabilities = data.map(d => d.probability);
+        const beliefStage = hasBeliefStage(options);
+        
+        const datasets = [{
+            label: beliefStage ? 'Probability of Not Being Publicly Exposed (%)' : 'Probability of Remaining Secret (%)',
+            data: probabilities,
+            borderColor: '#3b82f6',
+            backgroundColor: 'rgba(59, 130, 246, 0.1)',
+            borderWidth: 2,
+            fill: true,
+            tension: 0.4,
+            pointRadius: labels.length > 50 ? 0 : 2, // Hide points for large datasets
+            pointHoverRadius: 5
+        }];
+        
+        // Shade the Monte Carlo 5-95% band between two extra lines
+        if (uncertaintyBand && uncertaintyBand.length > 0) {
+            const bandByYear = new Map(uncertaintyBand.map(point => [point.year, point]));
+            const bandStyle = {
+                borderColor: 'rgba(139, 92, 246, 0.5)',
+                borderWidth: 1,
+                borderDash: [4, 4],
+                pointRadius: 0,
+                tension: 0.4
+            };
+            
+            datasets.push({
+                ...bandStyle,
+                label: '5th percentile',
+                data: labels.map(year => bandByYear.get(year)?.lower ?? null),
+                fill: false
+            }, {
+                ...bandStyle,
+                label: '95th percentile',
+                data: labels.map(year => bandByYear.get(year)?.upper ?? null),
+                backgroundColor: 'rgba(139, 92, 246, 0.15)',
+                fill: '-1' // Fill down to the 5th percentile line
+            });
+        }
+        
+        // With the belief stage on, the gap down to this curve is the chance of a leak nobody believed
+        if (beliefStage) {
+            const leakData = generateProbabilityOverTime(conspirators, professionType, maxYears, withoutBeliefStage(options));
+            const leakByYear = new Map(leakData.map(point => [point.year, point.probability]));
+            
+            datasets.push({
+                label: 'Probability Nothing Has Leaked (%)',
+                data: labels.map(year => leakByYear.get(year) ?? 0), // The series stops once it is negligible
+                borderColor: '#f59e0b',
+                borderWidth: 2,
+                borderDash: [6, 3],
+                fill: false,
+                tension: 0.4,
+                pointRadius: 0,
+                pointHoverRadius: 5
+            });
+        }
+        
+        // Recruitment or removal changes how many people are in on it, shown against a right-hand axis
+        const population = data.map(d => d.population);
+        const showPopulation = population.some(count => Math.abs(count - population[0]) >= 1);
+        if (showPopulation) {
+            datasets.push({
+                label: 'People in on it',
+                data: population,
+                yAxisID: 'y1',
+                borderColor: '#10b981',
+                borderWidth: 2,
+                fill: false,
+                tension: 0.4,
+                pointRadius: 0,
+                pointHoverRadius: 5
+            });
+        }
         
         // Destroy existing chart safely
         timeDecayChart = safeDestroyChart(timeDecayChart);
         
         // Create new chart with optimized configuration
-        timeDecayChart = new Chart(ctx, {
+        timeDecayChart = createChart(ctx, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: datasets
+            },
+            options: {
+                ...CHART_DEFAULTS,
+                plugins: {
+                    ...CHART_DEFAULTS.plugins,
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: {
+                            label: function(context) {
+                                if (context.dataset.yAxisID === 'y1') {
+                                    return `${context.dataset.label}: ${Math.round(context.parsed.y).toLocaleString()}`;
+                                }
+                                const prefix = context.datasetIndex === 0 ? 'Probability' : context.dataset.label;
+                                return `${prefix}: ${context.parsed.y.toFixed(2)}%`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    ...CHART_DEFAULTS.scales,
+                    x: {
+                        ...CHART_DEFAULTS.scales.x,
+                        title: {
+                            display: true,
+                            text: 'Years'
+                        }
+                    },
+                    y: {
+                        ...CHART_DEFAULTS.scales.y,
+                        title: {
+                            display: true,
+                            text: 'Probability of Remaining Secret (%)'
+                        },
+                        min: 0,
+                        max: 100
+                    },
+                    y1: {
+                        display: showPopulation,
+                        position: 'right',
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'People in on It'
+                        },
+                        grid: {
+                            drawOnChartArea: false
+                        }
+                    }
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error creating time decay chart:', error);
+        showChartUnavailable(ctx);
+    }
+}
+
+/**
+ * Initialize or update the Bayesian posterior chart
+ * Shows how the probability that the conspiracy is real falls the longer it goes unexposed
+ * 
+ * @param {number} prior - Prior probability (0 to 1) that the conspiracy exists
+ * @param {number} conspirators - Number of conspirators
+ * @param {string} professionType - Type of conspirators
+ * @param {number} currentYears - Current years active
+ * @param {object} options - Model options
+ */
+function updatePosteriorChart(prior, conspirators, professionType, currentYears, options = {}) {
+    clearTimeout(posteriorUpdateDebouncer);
+    posteriorUpdateDebouncer = setTimeout(() => {
+        doUpdatePosteriorChart(prior, conspirators, professionType, currentYears, options);
+    }, 150);
+}
+
+function doUpdatePosteriorChart(prior, conspirators, professionType, currentYears, options = {}) {
+    const ctx = document.getElementById('posteriorChart');
+    if (!ctx) return;
+    
+    try {
+        const data = generatePosteriorOverTime(prior, conspirators, professionType, getTimeDecayMaxYears(currentYears), options);
+        const labels = data.map(d => d.year);
+        
+        posteriorChart = safeDestroyChart(posteriorChart);
+        
+        posteriorChart = createChart(ctx, {
             type: 'line',
             data: {
                 labels: labels,
                 datasets: [{
-                    label: 'Probability of Remaining Secret (%)',
-                    data: probabilities,
-                    borderColor: '#3b82f6',
-                    backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                    label: 'Probability the Conspiracy Is Real (%)',
+                    data: data.map(d => d.posterior),
+                    borderColor: '#8b5cf6',
+                    backgroundColor: 'rgba(139, 92, 246, 0.1)',
                     borderWidth: 2,
                     fill: true,
                     tension: 0.4,
-                    pointRadius: labels.length > 50 ? 0 : 2, // Hide points for large datasets
+                    pointRadius: labels.length > 50 ? 0 : 2,
                     pointHoverRadius: 5
+                }, {
+                    label: 'Prior Belief (%)',
+                    data: labels.map(() => prior * 100),
+                    borderColor: '#94a3b8',
+                    borderWidth: 1,
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    fill: false
                 }]
             },
             options: {
@@ -132,7 +318,217 @@ function doUpdateTimeDecayChart(conspirators, professionType, currentYears) {
                         intersect: false,
                         callbacks: {
                             label: function(context) {
-                                return `Probability: ${context.parsed.y.toFixed(2)}%`;
+                                return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}%`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    ...CHART_DEFAULTS.scales,
+                    x: {
+                        ...CHART_DEFAULTS.scales.x,
+                        title: {
+                            display: true,
+                            text: 'Years Without Exposure'
+                        }
+                    },
+                    y: {
+                        ...CHART_DEFAULTS.scales.y,
+                        title: {
+                            display: true,
+                            text: 'Posterior Probability (%)'
+                        },
+                        min: 0,
+                        max: 100
+                    }
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error creating posterior chart:', error);
+        showChartUnavailable(ctx);
+    }
+}
+
+/**
+ * Number of years shown on the first leak chart
+ * Wide enough to cover 99% of first leaks, but never wider than the time decay chart
+ */
+function getFirstLeakMaxYears(conspirators, professionType, currentYears, options = {}) {
+    const maxYears = getTimeDecayMaxYears(currentYears);
+    const q99 = calculateFirstLeakQuantile(0.99, conspirators, professionType, options);
+    return isFinite(q99) && q99 > 0 ? Math.min(maxYears, q99) : maxYears;
+}
+
+/**
+ * Initialize or update the first leak chart
+ * Plots the density of the time to first leak next to the survival curve
+ * 
+ * @param {number} conspirators - Number of conspirators
+ * @param {string} professionType - Type of conspirators
+ * @param {number} currentYears - Current years active
+ * @param {object} options - Model options
+ */
+function updateFirstLeakChart(conspirators, professionType, currentYears, options = {}) {
+    clearTimeout(firstLeakUpdateDebouncer);
+    firstLeakUpdateDebouncer = setTimeout(() => {
+        doUpdateFirstLeakChart(conspirators, professionType, currentYears, options);
+    }, 150);
+}
+
+function doUpdateFirstLeakChart(conspirators, professionType, currentYears, options = {}) {
+    const ctx = document.getElementById('firstLeakChart');
+    if (!ctx) return;
+    
+    try {
+        const maxYears = getFirstLeakMaxYears(conspirators, professionType, currentYears, options);
+        const data = generateFirstLeakDistribution(conspirators, professionType, maxYears, options);
+        const labels = data.map(d => maxYears < 1 ? d.year.toPrecision(2) : d.year.toFixed(1));
+        
+        firstLeakChart = safeDestroyChart(firstLeakChart);
+        
+        firstLeakChart = createChart(ctx, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: 'Chance of First Leak (% per year)',
+                    data: data.map(d => d.density),
+                    borderColor: '#ef4444',
+                    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.4,
+                    pointRadius: 0,
+                    pointHoverRadius: 5,
+                    yAxisID: 'y'
+                }, {
+                    label: 'Probability of Remaining Secret (%)',
+                    data: data.map(d => d.probability),
+                    borderColor: '#3b82f6',
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    fill: false,
+                    tension: 0.4,
+                    pointRadius: 0,
+                    pointHoverRadius: 5,
+                    yAxisID: 'y1'
+                }]
+            },
+            options: {
+                ...CHART_DEFAULTS,
+                plugins: {
+                    ...CHART_DEFAULTS.plugins,
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: {
+                            title: function(context) {
+                                return `Year ${context[0].label}`;
+                            },
+                            label: function(context) {
+                                const suffix = context.dataset.yAxisID === 'y' ? '% per year' : '%';
+                                return `${context.dataset.label}: ${context.parsed.y.toPrecision(3)}${suffix}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    ...CHART_DEFAULTS.scales,
+                    x: {
+                        ...CHART_DEFAULTS.scales.x,
+                        title: {
+                            display: true,
+                            text: 'Years'
+                        },
+                        ticks: {
+                            maxTicksLimit: 11
+                        }
+                    },
+                    y: {
+                        ...CHART_DEFAULTS.scales.y,
+                        title: {
+                            display: true,
+                            text: 'First Leak Density (% per year)'
+                        },
+                        min: 0
+                    },
+                    y1: {
+                        position: 'right',
+                        title: {
+                            display: true,
+                            text: 'Probability of Remaining Secret (%)'
+                        },
+                        min: 0,
+                        max: 100,
+                        grid: {
+                            drawOnChartArea: false
+                        }
+                    }
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error creating first leak chart:', error);
+        showChartUnavailable(ctx);
+    }
+}
+
+/**
+ * Plot the agent simulation's survival curve against the formula's
+ * 
+ * @param {object} result - Result of runAgentSimulation
+ */
+function updateSimulationChart(result) {
+    const ctx = document.getElementById('simulationChart');
+    if (!ctx) return;
+    
+    try {
+        const labels = result.survivalCurve.map(d => d.year);
+        const datasets = [{
+            label: `Agent Simulation (${result.replicates.toLocaleString()} replicates)`,
+            data: result.survivalCurve.map(d => d.probability),
+            borderColor: '#f59e0b',
+            backgroundColor: 'rgba(245, 158, 11, 0.1)',
+            borderWidth: 2,
+            fill: true,
+            stepped: true,
+            pointRadius: 0,
+            pointHoverRadius: 5
+        }];
+        
+        if (result.closedFormCurve) {
+            datasets.push({
+                label: 'Formula',
+                data: result.closedFormCurve.map(d => d.probability),
+                borderColor: '#3b82f6',
+                borderWidth: 2,
+                borderDash: [6, 4],
+                fill: false,
+                tension: 0.4,
+                pointRadius: 0,
+                pointHoverRadius: 5
+            });
+        }
+        
+        simulationChart = safeDestroyChart(simulationChart);
+        
+        simulationChart = createChart(ctx, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: datasets
+            },
+            options: {
+                ...CHART_DEFAULTS,
+                plugins: {
+                    ...CHART_DEFAULTS.plugins,
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: {
+                            label: function(context) {
+                                return `${context.dataset.label}: ${context.parsed.y.toFixed(1)}%`;
                             }
                         }
                     }
@@ -159,29 +555,42 @@ function doUpdateTimeDecayChart(conspirators, professionType, currentYears) {
             }
         });
     } catch (error) {
-        console.error('Error creating time decay chart:', error);
+        console.error('Error creating simulation chart:', error);
         showChartUnavailable(ctx);
     }
 }
 
+/**
+ * Position of the gauge needle (0 to 1) for a probability given by its log₁₀
+ * A log scale that never saturates: straight up at 1%, a third of the way at
+ * 1 in 10,000, and still moving for probabilities far too small to hold as numbers
+ */
+function getGaugePosition(logProbability) {
+    if (logProbability === -Infinity) return 0;
+    return 1 / (1 - Math.min(0, logProbability) / 2);
+}
+
 /**
  * Update the probability gauge/meter
  * Visual representation of current survival probability
  * 
  * @param {number} probability - Probability (0 to 1)
+ * @param {number} logProbability - Optional log₁₀ of the probability, for values that underflow to 0
  */
-function updateProbabilityGauge(probability) {
+function updateProbabilityGauge(probability, logProbability) {
     const gaugeElement = document.getElementById('probabilityGauge');
     const gaugeValue = document.getElementById('gaugeValue');
     const gaugeNeedle = document.getElementById('gaugeNeedle');
     
     if (!gaugeElement || !gaugeValue || !gaugeNeedle) return;
     
-    const percentage = probability * 100;
-    gaugeValue.textContent = formatProbability(probability);
+    const logValue = logProbability ?? Math.log10(probability);
+    gaugeReading = { probability: probability, logProbability: logValue };
+    gaugeValue.textContent = formatProbability(probability, logValue);
+    gaugeValue.title = formatOdds(logValue);
     
-    // Rotate needle (0% = -90deg, 100% = 90deg)
-    const rotation = (percentage / 100) * 180 - 90;
+    // Rotate needle (0 = -90deg, 1 = 90deg)
+    const rotation = getGaugePosition(logValue) * 180 - 90;
     gaugeNeedle.style.transform = `rotate(${rotation}deg)`;
     
     // Update color based on credibility
@@ -189,123 +598,457 @@ function updateProbabilityGauge(probability) {
     gaugeElement.className = `gauge ${credibility.color}`;
 }
 
+// Colours cycled through for the historical benchmark curves
+const BENCHMARK_CURVE_COLORS = ['#f59e0b', '#10b981', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6'];
+
+// Lowest log₁₀ probability the comparison chart reaches down to (1 in a trillion)
+const COMPARISON_FLOOR = -12;
+
+/**
+ * Survival curve points {x, y} for the comparison chart, with y as log₁₀ of the probability
+ * The marked year is added to the sampled years and its point flagged so it can be drawn as a marker
+ */
+function buildComparisonCurve(conspirators, professionType, maxYears, markedYear, options = {}) {
+    const step = getSeriesStep(maxYears);
+    const years = [];
+    for (let year = 0; year <= maxYears; year += step) {
+        years.push(year);
+    }
+    if (!years.includes(markedYear)) {
+        years.push(markedYear);
+        years.sort((a, b) => a - b);
+    }
+    
+    // Anything below the floor is clipped off the chart anyway, so keep the pixels finite
+    return generateLogSurvivalSeries(conspirators, professionType, years, options).map(point => ({
+        x: point.year,
+        y: Math.max(point.logProbability, COMPARISON_FLOOR - 1),
+        logProbability: point.logProbability,
+        marked: point.year === markedYear
+    }));
+}
+
 /**
- * Update comparison bars showing current conspiracy vs historical examples
+ * Overlay the survival curves of the historical conspiracies on the user's curve
+ * Each benchmark uses its own profession and size, with a marker at the year it was
+ * actually exposed; legend entries toggle the curves on and off
  * 
  * @param {number} conspirators - Number of conspirators
+ * @param {string} professionType - Type of conspirators
  * @param {number} years - Years active
+ * @param {object} options - Model options for the user's curve
  */
-function updateComparisonChart(conspirators, years) {
+function updateComparisonChart(conspirators, professionType, years, options = {}) {
     const ctx = document.getElementById('comparisonChart');
     if (!ctx) return;
     
-    // Check if Chart.js is available
-    if (typeof Chart === 'undefined') {
-        ctx.parentElement.innerHTML = '<p class="chart-unavailable">Chart visualization requires Chart.js library. Please disable ad blockers or use a different browser.</p>';
-        return;
+    try {
+        const maxYears = getTimeDecayMaxYears(years);
+        // Benchmarks share only the leak rate set (e.g. fitted rates); the rest of the scenario is the user's own
+        const benchmarkOptions = options.leakRates ? { leakRates: options.leakRates } : {};
+        
+        const datasets = getHistoricalBenchmarks().map((benchmark, index) => {
+            const color = BENCHMARK_CURVE_COLORS[index % BENCHMARK_CURVE_COLORS.length];
+            return {
+                label: benchmark.name,
+                data: buildComparisonCurve(benchmark.conspirators, benchmark.professionType || 'government',
+                    maxYears, benchmark.yearsBeforeExposed, benchmarkOptions),
+                markerLabel: `exposed after ${benchmark.yearsBeforeExposed} years with ${benchmark.conspirators} people in on it`,
+                borderColor: color,
+                backgroundColor: color,
+                borderWidth: 2,
+                borderDash: [6, 3],
+                fill: false,
+                tension: 0.3,
+                pointStyle: 'rectRot',
+                pointRadius: context => context.raw?.marked ? 7 : 0,
+                pointHoverRadius: context => context.raw?.marked ? 9 : 4
+            };
+        });
+        
+        datasets.unshift({
+            label: 'Your Conspiracy',
+            data: buildComparisonCurve(conspirators, professionType, maxYears, years, options),
+            markerLabel: `now, after ${years} years`,
+            borderColor: '#3b82f6',
+            backgroundColor: '#3b82f6',
+            borderWidth: 3,
+            fill: false,
+            tension: 0.3,
+            pointRadius: context => context.raw?.marked ? 6 : 0,
+            pointHoverRadius: context => context.raw?.marked ? 8 : 4
+        });
+        
+        const lowest = Math.min(...datasets.flatMap(dataset => dataset.data.map(point => point.y)));
+        const minLog = Math.max(COMPARISON_FLOOR, Math.min(-2, Math.floor(lowest)));
+        
+        comparisonChart = safeDestroyChart(comparisonChart);
+        
+        comparisonChart = createChart(ctx, {
+            type: 'line',
+            data: {
+                datasets: datasets
+            },
+            options: {
+                ...CHART_DEFAULTS,
+                plugins: {
+                    ...CHART_DEFAULTS.plugins,
+                    tooltip: {
+                        callbacks: {
+                            title: function(items) {
+                                return items.length > 0 ? `Year ${items[0].parsed.x}` : '';
+                            },
+                            label: function(context) {
+                                const point = context.raw;
+                                const text = `${context.dataset.label}: ${formatProbability(Math.pow(10, point.logProbability), point.logProbability)}`;
+                                return point.marked ? `${text} - ${context.dataset.markerLabel}` : text;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ...CHART_DEFAULTS.scales.x,
+                        type: 'linear',
+                        min: 0,
+                        max: maxYears,
+                        title: {
+                            display: true,
+                            text: 'Years'
+                        }
+                    },
+                    y: {
+                        ...CHART_DEFAULTS.scales.y,
+                        min: minLog,
+                        max: 0,
+                        title: {
+                            display: true,
+                            text: 'Probability of Remaining Secret (log scale)'
+                        },
+                        ticks: {
+                            callback: function(value) {
+                                return Number.isInteger(value) ? `10${toSuperscript(value)}` : '';
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error creating comparison chart:', error);
+        showChartUnavailable(ctx);
     }
+}
+
+/**
+ * Draw a tornado chart of how far survival moves as each input sweeps its range
+ * Bars show the change in log₁₀ survival from the current scenario, widest swing on top
+ * 
+ * @param {object} analysis - Result of runSensitivityAnalysis
+ */
+function updateSensitivityChart(analysis) {
+    const ctx = document.getElementById('sensitivityChart');
+    if (!ctx || !analysis) return;
     
-    const benchmarks = getHistoricalBenchmarks();
-    
-    // Calculate probabilities for benchmarks
-    const benchmarkData = benchmarks.map(b => {
-        const prob = calculateBenchmarkProbability(b);
-        return {
-            name: b.name,
-            probability: prob * 100,
-            years: b.yearsBeforeExposed
+    try {
+        const inputs = analysis.inputs;
+        const changeFrom = logValue => logValue - analysis.logSurvival;
+        const barStyle = {
+            borderWidth: 1,
+            barPercentage: 0.8,
+            categoryPercentage: 0.9
         };
-    });
-    
-    // Calculate current conspiracy probability at different time points
-    const currentProb = calculateSurvivalProbability(conspirators, years, 'government');
-    
-    // Add current conspiracy to data
-    benchmarkData.push({
-        name: 'Your Conspiracy',
-        probability: currentProb * 100,
-        years: years
-    });
-    
-    // Prepare data for Chart.js
-    const labels = benchmarkData.map(d => d.name);
-    const probabilities = benchmarkData.map(d => d.probability);
-    const colors = benchmarkData.map((d, idx) => 
-        idx === benchmarkData.length - 1 ? '#3b82f6' : '#94a3b8'
-    );
-    
-    // Destroy existing chart if it exists
-    if (comparisonChart) {
-        comparisonChart.destroy();
-    }
-    
-    // Create new chart
-    comparisonChart = new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: labels,
-            datasets: [{
-                label: 'Survival Probability (%)',
-                data: probabilities,
-                backgroundColor: colors,
-                borderColor: colors.map(c => c === '#3b82f6' ? '#2563eb' : '#64748b'),
-                borderWidth: 1
-            }]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            indexAxis: 'y',
-            plugins: {
-                legend: {
-                    display: false
+        
+        sensitivityChart = safeDestroyChart(sensitivityChart);
+        
+        sensitivityChart = createChart(ctx, {
+            type: 'bar',
+            data: {
+                labels: inputs.map(input => input.label),
+                datasets: [{
+                    ...barStyle,
+                    label: 'Low end of range',
+                    data: inputs.map(input => [0, changeFrom(input.logSurvivalLow)]),
+                    values: inputs.map(input => input.low),
+                    logSurvival: inputs.map(input => input.logSurvivalLow),
+                    backgroundColor: 'rgba(16, 185, 129, 0.7)',
+                    borderColor: '#059669'
+                }, {
+                    ...barStyle,
+                    label: 'High end of range',
+                    data: inputs.map(input => [0, changeFrom(input.logSurvivalHigh)]),
+                    values: inputs.map(input => input.high),
+                    logSurvival: inputs.map(input => input.logSurvivalHigh),
+                    backgroundColor: 'rgba(239, 68, 68, 0.7)',
+                    borderColor: '#dc2626'
+                }]
+            },
+            options: {
+                ...CHART_DEFAULTS,
+                indexAxis: 'y',
+                interaction: {
+                    mode: 'nearest',
+                    axis: 'y',
+                    intersect: true
+                },
+                plugins: {
+                    ...CHART_DEFAULTS.plugins,
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                const dataset = context.dataset;
+                                const logValue = dataset.logSurvival[context.dataIndex];
+                                const change = changeFrom(logValue);
+                                return [
+                                    `${context.label} = ${formatSensitivityValue(dataset.values[context.dataIndex])}`,
+                                    `Probability: ${formatProbability(Math.pow(10, logValue), logValue)}`,
+                                    `Change: ${change >= 0 ? '+' : ''}${change.toPrecision(3)} orders of magnitude`
+                                ];
+                            }
+                        }
+                    }
                 },
-                tooltip: {
-                    callbacks: {
-                        label: function(context) {
-                            const data = benchmarkData[context.dataIndex];
-                            return [
-                                `Probability: ${context.parsed.x.toFixed(3)}%`,
-                                `Duration: ${data.years} years`
-                            ];
+                scales: {
+                    x: {
+                        ...CHART_DEFAULTS.scales.x,
+                        title: {
+                            display: true,
+                            text: 'Change in Probability of Remaining Secret (orders of magnitude)'
+                        },
+                        ticks: {
+                            callback: function(value) {
+                                return value > 0 ? `+${value}` : value;
+                            }
+                        }
+                    },
+                    y: {
+                        // Overlay the low and high bars on the same row
+                        stacked: true,
+                        grid: {
+                            display: false
                         }
                     }
                 }
+            }
+        });
+    } catch (error) {
+        console.error('Error creating sensitivity chart:', error);
+        showChartUnavailable(ctx);
+    }
+}
+
+// Survival levels traced as contour lines on the heatmap
+const HEATMAP_CONTOURS = [
+    { probability: 0.5, label: '50%', color: '#1e3a8a' },
+    { probability: 0.05, label: '5%', color: '#6d28d9' },
+    { probability: 0.01, label: '1%', color: '#111827' }
+];
+
+// log₁₀ survival at which heatmap cells reach full red (one in a million)
+const HEATMAP_FLOOR = -6;
+
+/**
+ * Colour of a heatmap cell: green while the secret is likely kept, through
+ * yellow, to red at one in a million or less
+ */
+function getHeatmapColor(logSurvival) {
+    const fraction = Math.min(1, Math.max(0, logSurvival / HEATMAP_FLOOR));
+    return `hsla(${Math.round(120 * (1 - fraction))}, 70%, 55%, 0.85)`;
+}
+
+/**
+ * Pixel rectangles and colours of the heatmap cells on the chart's scales
+ * Cell edges sit halfway (in log space) between neighbouring cell centres
+ */
+function getHeatmapCells(grid, scales) {
+    const edges = (centres, min, max) => [min,
+        ...centres.slice(1).map((value, i) => Math.sqrt(value * centres[i])), max];
+    const xEdges = edges(grid.conspirators, grid.bounds.minConspirators, grid.bounds.maxConspirators)
+        .map(value => scales.x.getPixelForValue(value));
+    const yEdges = edges(grid.years, grid.bounds.minYears, grid.bounds.maxYears)
+        .map(value => scales.y.getPixelForValue(value));
+    
+    // Overlap by a pixel so no seams show between cells
+    return grid.logSurvival.flatMap((column, i) => column.map((logValue, j) => ({
+        x: xEdges[i],
+        y: yEdges[j + 1],
+        width: xEdges[i + 1] - xEdges[i] + 1,
+        height: yEdges[j] - yEdges[j + 1] + 1,
+        color: getHeatmapColor(logValue)
+    })));
+}
+
+/**
+ * Chart.js plugin painting the survival grid behind the contour lines and points
+ */
+const heatmapGridPlugin = {
+    id: 'survivalHeatmap',
+    beforeDatasetsDraw(chart, args, pluginOptions) {
+        const grid = pluginOptions.grid;
+        if (!grid) return;
+        
+        const { ctx, chartArea } = chart;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(chartArea.left, chartArea.top, chartArea.width, chartArea.height);
+        ctx.clip();
+        getHeatmapCells(grid, chart.scales).forEach(cell => {
+            ctx.fillStyle = cell.color;
+            ctx.fillRect(cell.x, cell.y, cell.width, cell.height);
+        });
+        ctx.restore();
+    }
+};
+
+/**
+ * Update the survival heatmap over conspirator counts and durations
+ * 
+ * @param {number} conspirators - Number of conspirators
+ * @param {string} professionType - Type of conspirators
+ * @param {number} currentYears - Current years active
+ * @param {object} options - Model options
+ */
+function updateHeatmapChart(conspirators, professionType, currentYears, options = {}) {
+    clearTimeout(heatmapUpdateDebouncer);
+    heatmapUpdateDebouncer = setTimeout(() => {
+        doUpdateHeatmapChart(conspirators, professionType, currentYears, options);
+    }, 150);
+}
+
+function doUpdateHeatmapChart(conspirators, professionType, currentYears, options = {}) {
+    const ctx = document.getElementById('heatmapChart');
+    if (!ctx) return;
+    
+    try {
+        const grid = generateSurvivalGrid(professionType, options, {
+            maxYears: Math.min(MAX_SOLVE_YEARS, Math.max(100, currentYears * 2))
+        });
+        if (!grid) return;
+        
+        // Every marker is placed on the selected profession's plane, whatever profession it had
+        const { groups, ...planeOptions } = options;
+        const toPoint = (name, pointConspirators, pointYears) => ({
+            x: pointConspirators,
+            y: pointYears,
+            name: name,
+            logSurvival: calculateLogSurvivalProbability(pointConspirators, pointYears, professionType, planeOptions)
+        });
+        const markerStyle = (color, pointStyle, radius) => ({
+            type: 'scatter',
+            backgroundColor: color,
+            borderColor: '#ffffff',
+            borderWidth: 1.5,
+            pointStyle: pointStyle,
+            pointRadius: radius,
+            pointHoverRadius: radius + 2
+        });
+        
+        const datasets = HEATMAP_CONTOURS.map(contour => ({
+            type: 'line',
+            label: `${contour.label} contour`,
+            data: traceSurvivalContour(grid, contour.probability)
+                .map(point => ({ x: point.conspirators, y: point.years })),
+            borderColor: contour.color,
+            backgroundColor: contour.color,
+            borderWidth: 2,
+            pointRadius: 0,
+            pointHitRadius: 0,
+            fill: false,
+            tension: 0.3
+        }));
+        
+        datasets.push({
+            ...markerStyle('#f59e0b', 'triangle', 7),
+            label: 'Presets',
+            data: getAllPresets().map(preset => toPoint(preset.name, preset.conspirators, preset.yearsActive))
+        }, {
+            ...markerStyle('#64748b', 'rectRot', 6),
+            label: 'Historical conspiracies',
+            data: getHistoricalBenchmarks().map(benchmark =>
+                toPoint(benchmark.name, benchmark.conspirators, benchmark.yearsBeforeExposed))
+        }, {
+            ...markerStyle('#3b82f6', 'star', 10),
+            label: 'Your conspiracy',
+            data: [toPoint('Your conspiracy', conspirators, currentYears)],
+            borderColor: '#1d4ed8'
+        });
+        
+        heatmapChart = safeDestroyChart(heatmapChart);
+        
+        const logAxis = (title, min, max) => ({
+            type: 'logarithmic',
+            min: min,
+            max: max,
+            title: {
+                display: true,
+                text: title
+            },
+            ticks: {
+                // Label the powers of ten only
+                callback: function(value) {
+                    const exponent = Math.log10(value);
+                    return Math.abs(exponent - Math.round(exponent)) < 1e-9 ? Number(value).toLocaleString() : '';
+                }
             },
-            scales: {
-                x: {
-                    title: {
-                        display: true,
-                        text: 'Probability of Remaining Secret (%)'
+            grid: {
+                color: 'rgba(0, 0, 0, 0.08)'
+            }
+        });
+        
+        heatmapChart = createChart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: datasets
+            },
+            plugins: [heatmapGridPlugin],
+            options: {
+                ...CHART_DEFAULTS,
+                animation: false,
+                interaction: {
+                    mode: 'nearest',
+                    intersect: true
+                },
+                plugins: {
+                    ...CHART_DEFAULTS.plugins,
+                    survivalHeatmap: {
+                        grid: grid
                     },
-                    min: 0,
-                    max: 100,
-                    grid: {
-                        color: 'rgba(0, 0, 0, 0.05)'
+                    tooltip: {
+                        filter: context => context.dataset.type === 'scatter',
+                        callbacks: {
+                            label: function(context) {
+                                const point = context.raw;
+                                return [
+                                    point.name,
+                                    `${Math.round(point.x).toLocaleString()} people for ${point.y} years`,
+                                    `Probability: ${formatProbability(Math.pow(10, point.logSurvival), point.logSurvival)}`
+                                ];
+                            }
+                        }
                     }
                 },
-                y: {
-                    grid: {
-                        display: false
-                    }
+                scales: {
+                    x: logAxis('Number of Conspirators', grid.bounds.minConspirators, grid.bounds.maxConspirators),
+                    y: logAxis('Years Active', grid.bounds.minYears, grid.bounds.maxYears)
                 }
             }
-        }
-    });
+        });
+    } catch (error) {
+        console.error('Error creating survival heatmap:', error);
+        showChartUnavailable(ctx);
+    }
 }
 
 /**
  * Initialize all charts with default values
  */
 function initializeCharts() {
-    // Only initialize if Chart.js is available
-    if (typeof Chart === 'undefined') {
-        console.warn('Chart.js library not loaded. Charts will not be displayed.');
-        return;
+    if (!isChartJSAvailable()) {
+        console.warn('Chart.js library not loaded. Charts will be drawn by the built-in renderer.');
     }
     
     updateTimeDecayChart(100, 'government', 10);
-    updateComparisonChart(100, 10);
+    updateComparisonChart(100, 'government', 10);
     updateProbabilityGauge(0.5);
 }
 
@@ -315,11 +1058,506 @@ function initializeCharts() {
  * @param {number} conspirators - Number of conspirators
  * @param {string} professionType - Type of conspirators
  * @param {number} years - Years active
+ * @param {object} options - Population model options
  */
-function updateAllVisualizations(conspirators, professionType, years) {
-    const probability = calculateSurvivalProbability(conspirators, years, professionType);
+function updateAllVisualizations(conspirators, professionType, years, options = {}) {
+    const probability = calculateSurvivalProbability(conspirators, years, professionType, options);
     
-    updateTimeDecayChart(conspirators, professionType, years);
-    updateComparisonChart(conspirators, years);
+    updateTimeDecayChart(conspirators, professionType, years, options);
+    updateFirstLeakChart(conspirators, professionType, years, options);
+    updateComparisonChart(conspirators, professionType, years, options);
     updateProbabilityGauge(probability);
 }
+
+/*
+ * Built-in SVG renderer
+ * Used in place of Chart.js when the CDN script is blocked or the app is offline.
+ * It reads the same configuration objects the charts above pass to Chart.js and
+ * draws their line, scatter, bar and heatmap views. There are no animations or
+ * hover tooltips; native SVG titles carry the tooltip text instead, and legend
+ * entries still toggle their datasets.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Margins around the plot area of a fallback chart (pixels)
+const FALLBACK_LAYOUT = {
+    top: 12,
+    right: 24,
+    rightAxis: 64,
+    bottom: 48,
+    left: 72,
+    legendRow: 20
+};
+
+/**
+ * Create a chart with Chart.js, or with the built-in SVG renderer when Chart.js isn't loaded
+ * 
+ * @param {HTMLCanvasElement} canvas - Canvas the chart is drawn in
+ * @param {object} config - Chart.js configuration
+ * @returns {object} The Chart.js instance or the fallback chart
+ */
+function createChart(canvas, config) {
+    return isChartJSAvailable() ? new Chart(canvas, config) : createFallbackChart(canvas, config);
+}
+
+/**
+ * Escape text for use inside SVG markup
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Round a coordinate so the SVG stays compact
+ */
+function formatCoordinate(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * SVG text element
+ */
+function svgText(x, y, text, attributes = {}) {
+    const extra = Object.entries({ 'font-size': 12, fill: '#666', ...attributes })
+        .map(([name, value]) => `${name}="${escapeXML(value)}"`).join(' ');
+    return `<text x="${formatCoordinate(x)}" y="${formatCoordinate(y)}" ${extra}>${escapeXML(text)}</text>`;
+}
+
+/**
+ * SVG shape for a point marker in one of Chart.js's point styles
+ * Styles without an SVG equivalent here are drawn as circles
+ */
+function svgPoint(x, y, radius, style, fill, stroke) {
+    const paint = `fill="${escapeXML(fill)}" stroke="${escapeXML(stroke)}"`;
+    if (style === 'triangle') {
+        const points = [[x, y - radius], [x + radius * 0.866, y + radius / 2], [x - radius * 0.866, y + radius / 2]];
+        return `<polygon points="${points.map(p => p.map(formatCoordinate).join(',')).join(' ')}" ${paint}/>`;
+    }
+    if (style === 'rectRot') {
+        const points = [[x, y - radius], [x + radius, y], [x, y + radius], [x - radius, y]];
+        return `<polygon points="${points.map(p => p.map(formatCoordinate).join(',')).join(' ')}" ${paint}/>`;
+    }
+    return `<circle cx="${formatCoordinate(x)}" cy="${formatCoordinate(y)}" r="${formatCoordinate(radius)}" ${paint}/>`;
+}
+
+/**
+ * Resolve a dataset option that may be a Chart.js scriptable function
+ */
+function resolveChartOption(value, context, fallback) {
+    const resolved = typeof value === 'function' ? value(context) : value;
+    return resolved ?? fallback;
+}
+
+/**
+ * Step between axis ticks: 1, 2 or 5 times a power of ten
+ */
+function getNiceStep(roughStep) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(roughStep)));
+    const fraction = roughStep / magnitude;
+    const nice = fraction < 1.5 ? 1 : fraction < 3 ? 2 : fraction < 7 ? 5 : 10;
+    return nice * magnitude;
+}
+
+/**
+ * Data points of a dataset as {x, y, base, raw, index}, or null where there is no value
+ * Plain numbers sit at their label's index; [start, end] pairs are floating bars
+ */
+function getFallbackPoints(config, dataset) {
+    const indexAxis = config.options?.indexAxis || 'x';
+    return dataset.data.map((value, index) => {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'object' && !Array.isArray(value)) {
+            return { x: value.x, y: value.y, raw: value, index: index };
+        }
+        const [base, end] = Array.isArray(value) ? value : [null, value];
+        if (end === null || end === undefined) return null;
+        return indexAxis === 'y'
+            ? { x: end, y: index, base: base, raw: value, index: index }
+            : { x: index, y: end, base: base, raw: value, index: index };
+    });
+}
+
+/**
+ * Build one axis of a fallback chart: its value range, ticks and pixel mapping
+ * 
+ * @param {string} id - Axis id ('x', 'y' or 'y1')
+ * @param {object} config - Chart.js configuration
+ * @param {Array} values - Data values plotted against this axis
+ * @param {number} start - Pixel of the axis minimum (left, or bottom for vertical axes)
+ * @param {number} end - Pixel of the axis maximum
+ */
+function createFallbackScale(id, config, values, start, end) {
+    const options = config.options?.scales?.[id] || {};
+    const labels = config.data.labels;
+    const indexAxis = config.options?.indexAxis || 'x';
+    const type = options.type || (id === indexAxis && Array.isArray(labels) ? 'category' : 'linear');
+    const horizontal = id.startsWith('x');
+    const scale = { id, type, options, horizontal, start, end, position: options.position };
+    
+    if (type === 'category') {
+        // Bars sit in the middle of their band; line points run edge to edge like Chart.js
+        const count = labels.length;
+        const offset = config.type === 'bar';
+        scale.min = 0;
+        scale.max = count - 1;
+        scale.getPixelForValue = value => offset
+            ? start + (value + 0.5) * (end - start) / count
+            : start + value * (end - start) / Math.max(1, count - 1);
+        const stride = Math.ceil(count / (horizontal ? 12 : 10));
+        scale.ticks = labels.map((label, i) => ({ value: i, label: label })).filter((tick, i) => i % stride === 0);
+        scale.bandWidth = Math.abs(end - start) / Math.max(1, count);
+    } else {
+        const finite = values.filter(value => isFinite(value) && (type !== 'logarithmic' || value > 0));
+        let min = options.min ?? (finite.length ? Math.min(...finite) : 0);
+        let max = options.max ?? (finite.length ? Math.max(...finite) : 1);
+        if (options.beginAtZero && options.min === undefined) min = Math.min(0, min);
+        
+        if (type === 'logarithmic') {
+            min = options.min ?? Math.pow(10, Math.floor(Math.log10(min || 1)));
+            max = options.max ?? Math.pow(10, Math.ceil(Math.log10(max || 10)));
+            if (max <= min) max = min * 10;
+            const logMin = Math.log10(min);
+            const logMax = Math.log10(max);
+            scale.getPixelForValue = value => start + (Math.log10(value) - logMin) / (logMax - logMin) * (end - start);
+            
+            const powers = [];
+            for (let power = Math.ceil(logMin); power <= Math.floor(logMax); power++) {
+                powers.push(Math.pow(10, power));
+            }
+            const stride = Math.ceil(powers.length / 10);
+            scale.ticks = powers.filter((value, i) => i % stride === 0).map(value => ({ value: value }));
+        } else {
+            if (max === min) {
+                min -= 1;
+                max += 1;
+            }
+            const step = getNiceStep((max - min) / (horizontal ? 8 : 6));
+            if (options.min === undefined) min = Math.floor(min / step) * step;
+            if (options.max === undefined) max = Math.ceil(max / step) * step;
+            scale.getPixelForValue = value => start + (value - min) / (max - min) * (end - start);
+            
+            scale.ticks = [];
+            for (let k = Math.ceil(min / step); k * step <= max + step * 1e-9; k++) {
+                scale.ticks.push({ value: Number((k * step).toPrecision(12)) });
+            }
+        }
+        scale.min = min;
+        scale.max = max;
+    }
+    
+    const callback = options.ticks?.callback;
+    scale.ticks.forEach((tick, i) => {
+        if (tick.label === undefined) {
+            tick.label = tick.value.toLocaleString(undefined, { maximumSignificantDigits: 6 });
+        }
+        if (callback) {
+            tick.label = callback.call(scale, tick.value, i, scale.ticks);
+        }
+    });
+    
+    return scale;
+}
+
+/**
+ * Tooltip text for a point or bar, from the chart's tooltip callback when it has one
+ */
+function getFallbackTooltip(config, dataset, datasetIndex, point) {
+    const context = {
+        raw: point.raw,
+        parsed: { x: point.x, y: point.y },
+        dataset: dataset,
+        datasetIndex: datasetIndex,
+        dataIndex: point.index,
+        label: config.data.labels?.[point.index] ?? ''
+    };
+    try {
+        const callback = config.options?.plugins?.tooltip?.callbacks?.label;
+        const text = callback ? callback(context) : `${dataset.label}: ${Array.isArray(point.raw) ? point.raw[1] : point.y}`;
+        return Array.isArray(text) ? text.join('\n') : String(text);
+    } catch (error) {
+        return dataset.label || '';
+    }
+}
+
+/**
+ * Lay out the legend entries in rows across the top of the chart
+ */
+function layoutFallbackLegend(config, width) {
+    if (config.options?.plugins?.legend?.display === false) return { items: [], height: 0 };
+    
+    const items = [];
+    let x = FALLBACK_LAYOUT.left;
+    let row = 0;
+    config.data.datasets.forEach((dataset, index) => {
+        if (!dataset.label) return;
+        const itemWidth = 48 + dataset.label.length * 6.5;
+        if (x + itemWidth > width - FALLBACK_LAYOUT.right && x > FALLBACK_LAYOUT.left) {
+            x = FALLBACK_LAYOUT.left;
+            row++;
+        }
+        items.push({ index: index, label: dataset.label, x: x, y: 4 + row * FALLBACK_LAYOUT.legendRow });
+        x += itemWidth;
+    });
+    
+    return { items: items, height: items.length > 0 ? (row + 1) * FALLBACK_LAYOUT.legendRow + 4 : 0 };
+}
+
+/**
+ * SVG markup for a fallback chart
+ */
+function renderFallbackChartMarkup(config, width, height, hidden, clipId) {
+    const datasets = config.data.datasets;
+    const indexAxis = config.options?.indexAxis || 'x';
+    const legend = layoutFallbackLegend(config, width);
+    const visible = index => !hidden.has(index);
+    const pointsByDataset = datasets.map(dataset => getFallbackPoints(config, dataset));
+    const axisOf = dataset => indexAxis === 'y' ? 'y' : (dataset.yAxisID || 'y');
+    
+    const usesRightAxis = datasets.some((dataset, i) => visible(i) && dataset.yAxisID === 'y1' &&
+        config.options?.scales?.y1?.display !== false);
+    const area = {
+        left: FALLBACK_LAYOUT.left,
+        right: width - (usesRightAxis ? FALLBACK_LAYOUT.rightAxis : FALLBACK_LAYOUT.right),
+        top: FALLBACK_LAYOUT.top + legend.height,
+        bottom: height - FALLBACK_LAYOUT.bottom
+    };
+    
+    // Gather the values each axis has to show, then build the axes
+    const axisValues = { x: [] };
+    datasets.forEach((dataset, i) => {
+        if (!visible(i)) return;
+        const yAxis = axisOf(dataset);
+        axisValues[yAxis] = axisValues[yAxis] || [];
+        pointsByDataset[i].forEach(point => {
+            if (!point) return;
+            axisValues.x.push(point.x);
+            axisValues[yAxis].push(point.y);
+            if (point.base !== null && point.base !== undefined) {
+                axisValues[indexAxis === 'y' ? 'x' : yAxis].push(point.base);
+            }
+        });
+    });
+    const scales = {
+        x: createFallbackScale('x', config, axisValues.x, area.left, area.right),
+        y: createFallbackScale('y', config, axisValues.y || [], area.bottom, area.top)
+    };
+    if (axisValues.y1) {
+        scales.y1 = createFallbackScale('y1', config, axisValues.y1, area.bottom, area.top);
+    }
+    
+    const parts = [`<defs><clipPath id="${clipId}"><rect x="${area.left}" y="${area.top}" width="${area.right - area.left}" height="${area.bottom - area.top}"/></clipPath></defs>`];
+    
+    const grid = config.options?.plugins?.survivalHeatmap?.grid;
+    if (grid) {
+        parts.push(`<g clip-path="url(#${clipId})">` + getHeatmapCells(grid, scales).map(cell =>
+            `<rect x="${formatCoordinate(cell.x)}" y="${formatCoordinate(cell.y)}" width="${formatCoordinate(cell.width)}" height="${formatCoordinate(cell.height)}" fill="${cell.color}"/>`).join('') + '</g>');
+    }
+    
+    // Grid lines, tick labels and axis titles
+    Object.values(scales).forEach(scale => {
+        const options = scale.options;
+        const gridColor = typeof options.grid?.color === 'string' ? options.grid.color : 'rgba(0, 0, 0, 0.08)';
+        const showGrid = options.grid?.display !== false && options.grid?.drawOnChartArea !== false;
+        if (options.display === false) return;
+        
+        scale.ticks.forEach(tick => {
+            const pixel = scale.getPixelForValue(tick.value);
+            if (!isFinite(pixel)) return;
+            if (scale.horizontal) {
+                if (showGrid) parts.push(`<line x1="${formatCoordinate(pixel)}" y1="${area.top}" x2="${formatCoordinate(pixel)}" y2="${area.bottom}" stroke="${escapeXML(gridColor)}"/>`);
+                if (tick.label !== '') parts.push(svgText(pixel, area.bottom + 16, tick.label, { 'text-anchor': 'middle' }));
+            } else {
+                if (showGrid) parts.push(`<line x1="${area.left}" y1="${formatCoordinate(pixel)}" x2="${area.right}" y2="${formatCoordinate(pixel)}" stroke="${escapeXML(gridColor)}"/>`);
+                if (tick.label !== '') {
+                    parts.push(scale.position === 'right'
+                        ? svgText(area.right + 6, pixel + 4, tick.label, { 'text-anchor': 'start' })
+                        : svgText(area.left - 6, pixel + 4, tick.label, { 'text-anchor': 'end' }));
+                }
+            }
+        });
+        
+        if (options.title?.display && options.title.text) {
+            if (scale.horizontal) {
+                parts.push(svgText((area.left + area.right) / 2, height - 8, options.title.text, { 'text-anchor': 'middle' }));
+            } else {
+                const x = scale.position === 'right' ? width - 10 : 14;
+                const y = (area.top + area.bottom) / 2;
+                parts.push(svgText(x, y, options.title.text,
+                    { 'text-anchor': 'middle', transform: `rotate(-90 ${x} ${formatCoordinate(y)})` }));
+            }
+        }
+    });
+    parts.push(`<rect x="${area.left}" y="${area.top}" width="${area.right - area.left}" height="${area.bottom - area.top}" fill="none" stroke="rgba(0, 0, 0, 0.15)"/>`);
+    
+    // Pixel positions of every point, shared with fills between datasets
+    const pixelsByDataset = datasets.map((dataset, i) => pointsByDataset[i].map(point => {
+        if (!point) return null;
+        const x = scales.x.getPixelForValue(point.x);
+        const y = scales[axisOf(dataset)].getPixelForValue(point.y);
+        // Keep far off-scale points finite; the clip path hides them anyway
+        return isFinite(x) && isFinite(y)
+            ? { x: x, y: Math.max(area.top - 1000, Math.min(area.bottom + 1000, y)), point: point }
+            : null;
+    }));
+    
+    const barDatasets = datasets.map((dataset, i) => i).filter(i => (datasets[i].type || config.type) === 'bar' && visible(i));
+    const indexScale = scales[indexAxis];
+    const plotted = [];
+    
+    // Chart.js draws the first dataset on top, so draw in reverse
+    for (let i = datasets.length - 1; i >= 0; i--) {
+        if (!visible(i)) continue;
+        const dataset = datasets[i];
+        const type = dataset.type || config.type;
+        const pixels = pixelsByDataset[i];
+        const borderColor = typeof dataset.borderColor === 'string' ? dataset.borderColor : '#3b82f6';
+        const backgroundColor = typeof dataset.backgroundColor === 'string' ? dataset.backgroundColor : borderColor;
+        
+        if (type === 'bar') {
+            // Bars overlay each other on a stacked index axis and sit side by side otherwise
+            const stacked = indexScale.options.stacked;
+            const slots = stacked ? 1 : barDatasets.length;
+            const slot = stacked ? 0 : barDatasets.indexOf(i);
+            const thickness = indexScale.bandWidth * (dataset.categoryPercentage ?? 0.8) * (dataset.barPercentage ?? 0.9) / slots;
+            const valueScale = indexAxis === 'y' ? scales.x : scales[axisOf(dataset)];
+            
+            pixels.forEach(pixel => {
+                if (!pixel) return;
+                const centre = (indexAxis === 'y' ? pixel.y : pixel.x) + (slot - (slots - 1) / 2) * thickness;
+                const base = valueScale.getPixelForValue(pixel.point.base ?? 0);
+                const value = indexAxis === 'y' ? pixel.x : pixel.y;
+                const rect = indexAxis === 'y'
+                    ? { x: Math.min(base, value), y: centre - thickness / 2, width: Math.abs(value - base), height: thickness }
+                    : { x: centre - thickness / 2, y: Math.min(base, value), width: thickness, height: Math.abs(value - base) };
+                const fill = resolveChartOption(dataset.backgroundColor, { dataIndex: pixel.point.index, raw: pixel.point.raw }, borderColor);
+                plotted.push(`<rect x="${formatCoordinate(rect.x)}" y="${formatCoordinate(rect.y)}" width="${formatCoordinate(rect.width)}" height="${formatCoordinate(rect.height)}" fill="${escapeXML(Array.isArray(fill) ? fill[pixel.point.index] : fill)}" stroke="${escapeXML(borderColor)}" stroke-width="${dataset.borderWidth ?? 0}"><title>${escapeXML(getFallbackTooltip(config, dataset, i, pixel.point))}</title></rect>`);
+            });
+            continue;
+        }
+        
+        if (type === 'line' && dataset.showLine !== false) {
+            // Break the line wherever a value is missing
+            const segments = [];
+            let segment = [];
+            pixels.forEach(pixel => {
+                if (pixel) {
+                    segment.push(pixel);
+                } else if (segment.length > 0) {
+                    segments.push(segment);
+                    segment = [];
+                }
+            });
+            if (segment.length > 0) segments.push(segment);
+            
+            const toPath = points => points.map((pixel, j) => {
+                if (j === 0) return `M ${formatCoordinate(pixel.x)} ${formatCoordinate(pixel.y)}`;
+                return dataset.stepped
+                    ? `H ${formatCoordinate(pixel.x)} V ${formatCoordinate(pixel.y)}`
+                    : `L ${formatCoordinate(pixel.x)} ${formatCoordinate(pixel.y)}`;
+            }).join(' ');
+            
+            if (dataset.fill === '-1' && i > 0 && visible(i - 1)) {
+                // Shade the band between this line and the previous dataset's
+                const below = pixelsByDataset[i - 1];
+                const pairs = pixels.map((pixel, j) => pixel && below[j] ? [pixel, below[j]] : null).filter(Boolean);
+                if (pairs.length > 1) {
+                    const outline = [...pairs.map(pair => pair[0]), ...pairs.map(pair => pair[1]).reverse()];
+                    plotted.push(`<polygon points="${outline.map(p => `${formatCoordinate(p.x)},${formatCoordinate(p.y)}`).join(' ')}" fill="${escapeXML(backgroundColor)}" stroke="none"/>`);
+                }
+            } else if (dataset.fill === true || dataset.fill === 'origin' || dataset.fill === 'start') {
+                segments.forEach(points => {
+                    plotted.push(`<path d="${toPath(points)} V ${area.bottom} H ${formatCoordinate(points[0].x)} Z" fill="${escapeXML(backgroundColor)}" stroke="none"/>`);
+                });
+            }
+            
+            const dash = (dataset.borderDash || []).length > 0 ? ` stroke-dasharray="${dataset.borderDash.join(' ')}"` : '';
+            segments.forEach(points => {
+                plotted.push(`<path d="${toPath(points)}" fill="none" stroke="${escapeXML(borderColor)}" stroke-width="${dataset.borderWidth ?? 2}"${dash}><title>${escapeXML(dataset.label || '')}</title></path>`);
+            });
+        }
+        
+        pixels.forEach(pixel => {
+            if (!pixel) return;
+            const context = { raw: pixel.point.raw, dataIndex: pixel.point.index, datasetIndex: i, dataset: dataset };
+            const radius = resolveChartOption(dataset.pointRadius, context, 3);
+            if (!(radius > 0)) return;
+            const style = resolveChartOption(dataset.pointStyle, context, 'circle');
+            plotted.push(`<g>${svgPoint(pixel.x, pixel.y, radius, style, backgroundColor, typeof dataset.borderColor === 'string' ? dataset.borderColor : '#ffffff')}<title>${escapeXML(getFallbackTooltip(config, dataset, i, pixel.point))}</title></g>`);
+        });
+    }
+    parts.push(`<g clip-path="url(#${clipId})">${plotted.join('\n')}</g>`);
+    
+    legend.items.forEach(item => {
+        const dataset = datasets[item.index];
+        const color = typeof dataset.borderColor === 'string' ? dataset.borderColor : dataset.backgroundColor;
+        const opacity = hidden.has(item.index) ? ' opacity="0.4"' : '';
+        parts.push(`<g data-dataset="${item.index}" style="cursor: pointer"${opacity}>` +
+            `<rect x="${item.x}" y="${item.y + 2}" width="30" height="10" fill="${escapeXML(typeof color === 'string' ? color : '#3b82f6')}"/>` +
+            svgText(item.x + 36, item.y + 11, item.label, hidden.has(item.index) ? { 'text-decoration': 'line-through' } : {}) + '</g>');
+    });
+    
+    return parts.join('\n');
+}
+
+/**
+ * Draw a chart as inline SVG next to its (hidden) canvas
+ * The returned object stands in for a Chart.js instance: it keeps the configuration
+ * as data and options, can be destroyed, and serializes itself for export
+ * 
+ * @param {HTMLCanvasElement} canvas - Canvas Chart.js would have drawn in
+ * @param {object} config - Chart.js configuration
+ * @returns {object} {fallback, data, options, width, height, isDatasetVisible, toSVGContent, destroy}
+ */
+function createFallbackChart(canvas, config) {
+    const wrapper = canvas.parentElement;
+    const hidden = new Set(config.data.datasets.map((dataset, i) => dataset.hidden ? i : -1).filter(i => i >= 0));
+    
+    canvas.hidden = true;
+    const width = Math.round(wrapper?.clientWidth) || 600;
+    const height = Math.round(wrapper?.clientHeight) || 400;
+    
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', 'fallback-chart');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('font-family', 'sans-serif');
+    wrapper?.appendChild(svg);
+    
+    const chart = {
+        fallback: true,
+        data: config.data,
+        options: config.options,
+        width: width,
+        height: height,
+        isDatasetVisible: index => !hidden.has(index),
+        toSVGContent: () => renderFallbackChartMarkup(config, width, height, hidden, `fallback-clip-${canvas.id}`),
+        render: () => {
+            svg.innerHTML = chart.toSVGContent();
+        },
+        destroy: () => {
+            svg.remove();
+            canvas.hidden = false;
+        }
+    };
+    
+    // Legend entries toggle their dataset, as they do in Chart.js
+    svg.addEventListener('click', event => {
+        const entry = event.target.closest('[data-dataset]');
+        if (!entry) return;
+        const index = Number(entry.dataset.dataset);
+        if (hidden.has(index)) {
+            hidden.delete(index);
+        } else {
+            hidden.add(index);
+        }
+        chart.render();
+    });
+    
+    chart.render();
+    return chart;
+}
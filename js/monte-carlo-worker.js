@@ -0,0 +1,17 @@
+/**
+ * Conspiracy Theorazine Monte Carlo Worker
+ * Runs the uncertainty analysis off the main thread, since scenarios without a
+ * closed form (die-off, recruits, changing leak rates) integrate numerically
+ */
+
+importScripts('calculator.js', 'uncertainty.js');
+
+self.addEventListener('message', event => {
+    try {
+        const { conspirators, years, professionType, options, uncertainty } = event.data;
+        const result = runMonteCarlo(conspirators, years, professionType, options, uncertainty);
+        self.postMessage({ type: 'result', result: result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
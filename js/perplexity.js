@@ -1,21 +1,49 @@
 // Perplexity API integration for Theorazine via Netlify Function
-async function queryPerplexity(conspiracyName, description) {
+
+/**
+ * Id for this browser session, sent so the function can rate limit clients
+ * whose IP address it can't see
+ */
+function getClientSession() {
     try {
-        console.log('Calling Perplexity function with:', { conspiracyName, description });
+        let session = sessionStorage.getItem('theorazineSession');
+        if (!session) {
+            session = window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+            sessionStorage.setItem('theorazineSession', session);
+        }
+        return session;
+    } catch (error) {
+        return '';
+    }
+}
+
+// refresh skips the function's cache of earlier analyses of the same theory.
+// A 429 is thrown as an error with retryAfter (seconds) set from the Retry-After header.
+async function queryPerplexity(conspiracyName, description, refresh = false) {
+    try {
+        console.log('Calling Perplexity function with:', { conspiracyName, description, refresh });
         
         const response = await fetch('/.netlify/functions/perplexity', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ conspiracyName, description })
+            headers: { 'Content-Type': 'application/json', 'X-Client-Session': getClientSession() },
+            body: JSON.stringify({ conspiracyName, description, refresh })
         });
         
         console.log('Response status:', response.status);
         console.log('Response ok:', response.ok);
         
+        if (response.status === 429) {
+            const result = await response.json().catch(() => ({}));
+            const error = new Error(result.error || 'Too many requests. Please try again later.');
+            error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || result.retryAfter || 60;
+            throw error;
+        }
+        
         if (!response.ok) {
-            const errorText = await response.text();
-            console.error('Function error response:', errorText);
-            throw new Error(`Function request failed: ${response.status} - ${errorText}`);
+            // Show the function's own message, not whatever page the gateway sent
+            const result = await response.json().catch(() => ({}));
+            console.error('Function error response:', response.status, result);
+            throw new Error(result.error || `Function request failed: ${response.status}`);
         }
         
         const result = await response.json();
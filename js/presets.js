@@ -1,5 +1,8 @@
 /**
  * Preset conspiracy theory examples with estimated parameters
+ * Presets may list `groups` ({name, conspirators, professionType}) when several
+ * professions are involved; `conspirators` is then the groups' total and
+ * `professionType` the largest group's profession
  */
 
 const CONSPIRACY_PRESETS = [
@@ -21,6 +24,11 @@ const CONSPIRACY_PRESETS = [
         professionType: 'scientists',
         yearsActive: 45,
         populationAffected: 8000000000,
+        groups: [
+            { name: 'Climate scientists', conspirators: 30000, professionType: 'scientists' },
+            { name: 'Government agencies (NASA, NOAA, Pentagon)', conspirators: 15000, professionType: 'government' },
+            { name: 'Oil companies', conspirators: 5000, professionType: 'corporate' }
+        ],
         explanation: 'Would require tens of thousands of climate scientists, NASA, the Pentagon, oil companies that have confirmed climate change, and world governments to coordinate a false narrative.'
     },
     {
@@ -31,6 +39,14 @@ const CONSPIRACY_PRESETS = [
         professionType: 'intelligence',
         yearsActive: 24,
         populationAffected: 5000000000,
+        groups: [
+            { name: 'CIA', conspirators: 150, professionType: 'intelligence' },
+            { name: 'NSA', conspirators: 50, professionType: 'intelligence' },
+            { name: 'Pentagon', conspirators: 150, professionType: 'military' },
+            { name: 'NORAD', conspirators: 50, professionType: 'military' },
+            { name: 'FAA', conspirators: 50, professionType: 'government' },
+            { name: 'Bush administration', conspirators: 50, professionType: 'government' }
+        ],
         explanation: 'Would require coordination between the Bush administration, CIA, NSA, Pentagon, NORAD, FAA, and other agencies - hundreds of people with knowledge.'
     },
     {
@@ -57,13 +73,15 @@ const CONSPIRACY_PRESETS = [
 
 /**
  * Historical conspiracies that FAILED to stay secret (benchmarks)
- * These are real conspiracies that were eventually exposed
+ * These are real conspiracies that were eventually exposed, and the
+ * starting dataset for fitting leak rates (see js/calibration.js)
  */
 const HISTORICAL_BENCHMARKS = [
     {
         name: 'Guy Fawkes Gunpowder Plot',
         year: 1605,
         conspirators: 14,
+        professionType: 'general',
         peopleAffected: 4800000,
         yearsBeforeExposed: 1.5,
         description: 'Catholic plot to blow up the English Parliament. Exposed before execution due to an anonymous letter.',
@@ -73,6 +91,7 @@ const HISTORICAL_BENCHMARKS = [
         name: 'Rajneeshee Bioterror Attack',
         year: 1984,
         conspirators: 17, // Using midpoint of estimated 12-19 conspirators from historical records
+        professionType: 'general',
         peopleAffected: 100000,
         yearsBeforeExposed: 1,
         description: 'Religious cult poisoned salad bars in Oregon to influence an election. 751 people infected with salmonella.',
@@ -82,6 +101,7 @@ const HISTORICAL_BENCHMARKS = [
         name: 'Downing Street Memo',
         year: 2002,
         conspirators: 23,
+        professionType: 'government',
         peopleAffected: 60000000,
         yearsBeforeExposed: 3,
         description: 'British government documents showing intelligence was "fixed" around Iraq War policy.',
@@ -121,14 +141,15 @@ function getHistoricalBenchmarks() {
  * Calculate survival probability for a historical benchmark
  * 
  * @param {object} benchmark - Historical benchmark object
+ * @param {object} options - Model options (e.g. an alternative leak rate set)
  * @returns {number} Probability (0 to 1) that it would have remained secret
  */
-function calculateBenchmarkProbability(benchmark) {
-    // Most historical conspiracies involved general public or mixed groups
-    // Using 'government' as a reasonable average
+function calculateBenchmarkProbability(benchmark, options = {}) {
+    // Benchmarks without a recorded profession fall back to 'government' as a reasonable average
     return calculateSurvivalProbability(
         benchmark.conspirators,
         benchmark.yearsBeforeExposed,
-        'government'
+        benchmark.professionType || 'government',
+        options
     );
 }
@@ -0,0 +1,17 @@
+/**
+ * Conspiracy Theorazine Simulation Worker
+ * Runs the agent simulation off the main thread and reports progress back
+ */
+
+importScripts('calculator.js', 'uncertainty.js', 'simulation.js');
+
+self.addEventListener('message', event => {
+    try {
+        const result = runAgentSimulation(event.data.scenario, progress => {
+            self.postMessage({ type: 'progress', progress: progress });
+        });
+        self.postMessage({ type: 'result', result: result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
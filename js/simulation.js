@@ -0,0 +1,432 @@
+/**
+ * Conspiracy Theorazine Agent Simulation
+ * A discrete-event simulation that follows every conspirator individually
+ * instead of using the closed-form survival formula
+ *
+ * Each agent joins at some year (0 for the original conspirators, later for
+ * recruits) and then faces competing events, each drawn from its own clock:
+ * - leak: at the agent's own leak hazard, exposing the conspiracy
+ * - defection: going public at the defection rate, also exposing it
+ * - retirement: leaving the conspiracy, after which the agent can't leak
+ * - death: Gompertz mortality from the agent's starting age
+ * With the belief stage on, leaks and defections only expose the conspiracy
+ * when believed; the believed ones form a thinned Poisson process whose rate
+ * declines with the belief decay rate. The hazard model shapes leaks and
+ * defections alike over the years since the conspiracy began.
+ * Outsiders can also discover the conspiracy independently of the agents, at
+ * the discovery rate set by the population affected.
+ * A replicate is exposed at the earliest leak, defection or discovery.
+ * Recruits from the scenario's recruitment schedule join the closed form too.
+ * Unless the simulation adds recruits of its own, the closed form is the
+ * mean-field version of the same model, so the two should agree to within
+ * the simulation's standard error.
+ */
+
+const SIMULATION_DEFAULTS = {
+    replicates: 1000,
+    seed: 20160126,
+    startingAge: POPULATION_DEFAULTS.startingAge,
+    mortality: false,
+    retirementRate: 0,
+    defectionRate: 0
+};
+
+// Agents are simulated one by one, so cap the work per run
+const SIMULATION_MAX_AGENTS = 1000000;
+const SIMULATION_AGENT_BUDGET = 5000000; // agents × replicates
+const SIMULATION_MIN_REPLICATES = 20;
+
+// Simulation currently running in a worker ({worker, reject}), cancelled when a new run starts
+let activeSimulation = null;
+
+/**
+ * Draw an exponentially distributed waiting time
+ */
+function sampleExponential(rate, random) {
+    if (rate <= 0) return Infinity;
+    return -Math.log(1 - random()) / rate;
+}
+
+/**
+ * Draw the waiting time to the first event of a Poisson process whose rate
+ * starts at rate and decays as e^(-decayRate × t); Infinity if it never happens
+ */
+function sampleDecayingExponential(rate, decayRate, random) {
+    if (decayRate <= 0) return sampleExponential(rate, random);
+    if (rate <= 0) return Infinity;
+    
+    // The process only ever produces rate / decayRate events on average, so it may never fire
+    const fraction = decayRate * -Math.log(1 - random()) / rate;
+    return fraction < 1 ? -Math.log1p(-fraction) / decayRate : Infinity;
+}
+
+/**
+ * Build the sampler for the time from an agent joining until their first believed leak or defection
+ * The constant hazard model is sampled exactly; other hazard models invert the cumulative
+ * hazard shape ∫ m(s) × e^(-κs) ds, tabulated once over the simulated horizon
+ *
+ * @returns {Function} (rate, joinYear, random) => waiting time after joining, or Infinity,
+ *                     for an agent whose exposing rate is rate at the start of the conspiracy
+ */
+function createExposureClock(settings) {
+    const { beliefDecayRate } = resolveBeliefOptions(settings.options);
+    const hazard = resolveHazardOptions(settings.options);
+
+    if (hazard.hazardModel === 'constant') {
+        return (rate, joinYear, random) =>
+            sampleDecayingExponential(rate * Math.exp(-beliefDecayRate * joinYear), beliefDecayRate, random);
+    }
+
+    const model = HAZARD_MODELS[hazard.hazardModel];
+    const steps = 2000;
+    const step = settings.maxYears / steps;
+    const table = [0];
+    for (let i = 0; i < steps; i++) {
+        const midpoint = (i + 0.5) * step;
+        table.push(table[i] + Math.exp(-beliefDecayRate * midpoint) *
+            (model.cumulative((i + 1) * step, hazard) - model.cumulative(i * step, hazard)));
+    }
+
+    // Cumulative hazard shape at a time, interpolating within the table
+    const shapeAt = years => {
+        const index = Math.min(steps - 1, Math.floor(years / step));
+        return table[index] + (table[index + 1] - table[index]) * (years / step - index);
+    };
+
+    return (rate, joinYear, random) => {
+        if (rate <= 0) return Infinity;
+        const target = shapeAt(joinYear) - Math.log(1 - random()) / rate;
+        if (target >= table[steps]) return Infinity; // Beyond the simulated horizon
+
+        let low = 0;
+        let high = steps;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (table[mid] < target) low = mid; else high = mid;
+        }
+        const fraction = (target - table[low]) / (table[high] - table[low]);
+        return (low + fraction) * step - joinYear;
+    };
+}
+
+/**
+ * Draw the remaining lifetime of someone aged startingAge under Gompertz mortality
+ * Inverts the Gompertz survival function exp(-(α/β) e^(β × age) (e^(β × t) - 1))
+ */
+function sampleGompertzLifetime(startingAge, random) {
+    const unitExponential = -Math.log(1 - random());
+    const ageHazard = GOMPERTZ_ALPHA * Math.exp(GOMPERTZ_BETA * startingAge);
+    return Math.log(1 + GOMPERTZ_BETA * unitExponential / ageHazard) / GOMPERTZ_BETA;
+}
+
+/**
+ * Fill in defaults and validate a simulation scenario
+ */
+function resolveSimulationScenario(scenario) {
+    const settings = { ...SIMULATION_DEFAULTS, ...scenario };
+    const { conspirators, years, professionType } = settings;
+    const options = settings.options || {};
+
+    validateInputs(conspirators, years, professionType, options);
+
+    if (typeof settings.startingAge !== 'number' || settings.startingAge < 0 || settings.startingAge > 120) {
+        throw new Error('Invalid starting age');
+    }
+    ['retirementRate', 'defectionRate'].forEach(name => {
+        if (typeof settings[name] !== 'number' || !isFinite(settings[name]) || settings[name] < 0) {
+            throw new Error(`Invalid ${name === 'retirementRate' ? 'retirement' : 'defection'} rate`);
+        }
+    });
+    if (!Number.isInteger(settings.replicates) || settings.replicates < 1) {
+        throw new Error('Number of replicates must be a positive integer');
+    }
+
+    const recruits = settings.recruits || [];
+    recruits.forEach(recruit => {
+        if (typeof recruit.year !== 'number' || recruit.year < 0) {
+            throw new Error('Invalid recruitment year');
+        }
+        if (!Number.isInteger(recruit.count) || recruit.count < 0) {
+            throw new Error('Invalid number of recruits');
+        }
+        if (recruit.professionType && !LEAK_RATES.hasOwnProperty(recruit.professionType)) {
+            throw new Error('Invalid recruit profession type');
+        }
+    });
+
+    return {
+        ...settings,
+        options: options,
+        recruits: recruits,
+        maxYears: settings.maxYears ?? Math.max(50, years * 2)
+    };
+}
+
+/**
+ * Group the agents into cohorts sharing a join year and leak hazard
+ */
+function buildSimulationCohorts(settings) {
+    const { conspirators, professionType, options } = settings;
+
+    const groups = resolveGroups(conspirators, professionType, options);
+    const totalConspirators = getTotalConspirators(groups);
+    const cohortOf = (group, count, joinYear, joinWindow = 0) => ({
+        count: count,
+        joinYear: joinYear,
+        joinWindow: joinWindow, // Agents join at uniformly random times within this many years
+        leakRate: getGroupExposureRate(group, options),
+        beliefProbability: getGroupBeliefProbability(group, 0, options)
+    });
+
+    const founders = groups.map(group => cohortOf(group, group.conspirators, 0));
+
+    // The scenario's recruitment schedule, shared between the groups in proportion to their size
+    const recruitment = resolveRecruitmentOptions(options);
+    const recruitmentModel = RECRUITMENT_MODELS[recruitment.recruitmentModel];
+    const arrivalRate = recruitmentModel.arrivalRate(totalConspirators, recruitment);
+    const scheduled = [];
+    groups.forEach(group => {
+        const groupRate = arrivalRate * group.conspirators / totalConspirators;
+        // Round the running total rather than each year, so fractional rates still add up
+        for (let year = 0; groupRate > 0 && year < Math.ceil(settings.maxYears); year++) {
+            const count = Math.round(groupRate * (year + 1)) - Math.round(groupRate * year);
+            if (count > 0) scheduled.push(cohortOf(group, count, year, 1));
+        }
+        recruitmentModel.cohorts(recruitment).forEach(cohort => {
+            const count = Math.round(cohort.count * group.conspirators / totalConspirators);
+            if (count > 0) scheduled.push(cohortOf(group, count, cohort.year));
+        });
+    });
+
+    const recruits = settings.recruits
+        .filter(recruit => recruit.count > 0)
+        .map(recruit => ({
+            count: recruit.count,
+            joinYear: recruit.year,
+            leakRate: getLeakRate(recruit.professionType || professionType, options),
+            joinWindow: 0,
+            beliefProbability: getGroupBeliefProbability({ professionType: recruit.professionType || professionType },
+                0, options)
+        }));
+
+    return [...founders, ...scheduled, ...recruits];
+}
+
+/**
+ * Model options under which the closed form describes the same scenario, or
+ * null when it can't (the simulation's own recruits joining mid-stream, deaths and
+ * retirements together, or defections by a profession with no leak rate to scale)
+ */
+function getClosedFormOptions(settings) {
+    const { conspirators, professionType, options } = settings;
+
+    if (settings.recruits.some(recruit => recruit.count > 0)) return null;
+    if (settings.mortality && settings.retirementRate > 0) return null;
+
+    const closedFormOptions = { ...options };
+    if (settings.mortality) {
+        closedFormOptions.populationModel = 'gompertz';
+        closedFormOptions.startingAge = settings.startingAge;
+    } else if (settings.retirementRate > 0) {
+        closedFormOptions.populationModel = 'exponential';
+        closedFormOptions.removalRate = settings.retirementRate;
+    } else {
+        closedFormOptions.populationModel = 'constant';
+    }
+
+    // Defection is just another way to expose the conspiracy, so it adds to every group's
+    // exposure rate. Groups only carry a multiplier on their profession's rate (which the
+    // calculator resolves under the same leak rate scale and incentives), so fold the
+    // defections into it; a profession whose rate is 0 has nothing to scale
+    if (settings.defectionRate > 0) {
+        const groups = resolveGroups(conspirators, professionType, options);
+        if (groups.some(group => !(getLeakRate(group.professionType, options) > 0))) return null;
+
+        closedFormOptions.groups = groups.map(group => ({
+            ...group, // Keeps the group's profession, and so its belief probability
+            leakRateMultiplier: (getGroupExposureRate(group, options) + settings.defectionRate) /
+                getLeakRate(group.professionType, options),
+            leakExposureProbability: 1 // Already part of the multiplier
+        }));
+    }
+
+    return closedFormOptions;
+}
+
+/**
+ * Run the agent simulation
+ *
+ * @param {object} scenario - {conspirators, years, professionType, options} as for the calculator,
+ *                            plus optional startingAge, mortality (Gompertz deaths), retirementRate,
+ *                            defectionRate (per person per year), recruits ([{year, count, professionType}]),
+ *                            replicates, seed and maxYears (for the survival curve)
+ * @param {Function} onProgress - Optional callback receiving the fraction of replicates done
+ * @returns {object} {replicates, survival, standardError, medianExposureTime, causes, survivalCurve,
+ *                   closedForm, closedFormCurve}; closedForm is null when the closed form can't
+ *                   describe the scenario
+ */
+function runAgentSimulation(scenario, onProgress = null) {
+    const settings = resolveSimulationScenario(scenario);
+    const cohorts = buildSimulationCohorts(settings);
+    const totalAgents = cohorts.reduce((sum, cohort) => sum + cohort.count, 0);
+
+    if (totalAgents > SIMULATION_MAX_AGENTS) {
+        throw new Error(`The agent simulation is limited to ${SIMULATION_MAX_AGENTS.toLocaleString()} conspirators`);
+    }
+
+    // Large scenarios get fewer replicates so a run stays within the agent budget
+    const replicates = Math.min(settings.replicates,
+        Math.max(SIMULATION_MIN_REPLICATES, Math.floor(SIMULATION_AGENT_BUDGET / totalAgents)));
+    const random = createSeededRandom(settings.seed);
+    const horizon = settings.maxYears;
+    const progressInterval = Math.max(1, Math.floor(replicates / 50));
+
+    const exposureTimes = [];
+    const causes = { leak: 0, defection: 0, discovery: 0 };
+    const discoveryRate = getDiscoveryRate(settings.options);
+    const sampleExposingTime = createExposureClock(settings);
+
+    for (let replicate = 0; replicate < replicates; replicate++) {
+        let exposureTime = sampleExponential(discoveryRate, random);
+        let cause = 'discovery';
+
+        cohorts.forEach(cohort => {
+            if (cohort.joinYear >= Math.min(exposureTime, horizon)) return;
+
+            // The earlier of a leak and a defection comes at their combined rate
+            const exposingRate = cohort.leakRate + settings.defectionRate;
+            const believedRate = exposingRate * cohort.beliefProbability;
+
+            for (let agent = 0; agent < cohort.count; agent++) {
+                const joinTime = cohort.joinWindow > 0 ? cohort.joinYear + random() * cohort.joinWindow : cohort.joinYear;
+                const firstEvent = sampleExposingTime(believedRate, joinTime, random);
+                const time = joinTime + firstEvent;
+                if (time >= exposureTime || time > horizon) continue;
+
+                // Only draw the exit clocks when this agent would otherwise expose the conspiracy first
+                const retirementTime = sampleExponential(settings.retirementRate, random);
+                const deathTime = settings.mortality ? sampleGompertzLifetime(settings.startingAge, random) : Infinity;
+                if (firstEvent >= Math.min(retirementTime, deathTime)) continue;
+
+                exposureTime = time;
+                cause = random() * exposingRate < cohort.leakRate ? 'leak' : 'defection';
+            }
+        });
+
+        exposureTimes.push(exposureTime);
+        if (exposureTime <= settings.years) {
+            causes[cause] += 1;
+        }
+
+        if (onProgress && (replicate + 1) % progressInterval === 0) {
+            onProgress((replicate + 1) / replicates);
+        }
+    }
+
+    exposureTimes.sort((a, b) => a - b);
+    const survivingAt = year => {
+        // Replicates still unexposed at the given year
+        let low = 0;
+        let high = exposureTimes.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (exposureTimes[mid] <= year) low = mid + 1; else high = mid;
+        }
+        return (exposureTimes.length - low) / exposureTimes.length;
+    };
+
+    const survival = survivingAt(settings.years);
+    const step = getSeriesStep(horizon);
+    const curveYears = [];
+    for (let year = 0; year <= horizon; year += step) {
+        curveYears.push(year);
+    }
+
+    const closedFormOptions = getClosedFormOptions(settings);
+    const { conspirators, years, professionType } = settings;
+
+    return {
+        replicates: replicates,
+        agents: totalAgents,
+        survival: survival,
+        standardError: Math.sqrt(survival * (1 - survival) / replicates),
+        medianExposureTime: calculateQuantile(exposureTimes, 0.5),
+        causes: causes,
+        survivalCurve: curveYears.map(year => ({ year: year, probability: survivingAt(year) * 100 })),
+        closedForm: closedFormOptions
+            ? calculateSurvivalProbability(conspirators, years, professionType, closedFormOptions)
+            : null,
+        closedFormCurve: closedFormOptions
+            ? curveYears.map(year => ({
+                year: year,
+                probability: calculateSurvivalProbability(conspirators, year, professionType, closedFormOptions) * 100
+            }))
+            : null
+    };
+}
+
+/**
+ * Run the agent simulation in a Web Worker so the page stays responsive
+ * Starting a new run cancels the previous one, whose promise rejects with
+ * error.cancelled set. Falls back to the main thread when workers aren't
+ * available (e.g. when the page is opened from a file)
+ *
+ * @param {object} scenario - Simulation scenario (see runAgentSimulation)
+ * @param {Function} onProgress - Optional callback receiving the fraction of replicates done
+ * @returns {Promise<object>} Simulation result
+ */
+function runAgentSimulationInWorker(scenario, onProgress = null) {
+    if (activeSimulation) {
+        activeSimulation.worker.terminate();
+        const cancelled = new Error('Simulation cancelled');
+        cancelled.cancelled = true;
+        activeSimulation.reject(cancelled);
+        activeSimulation = null;
+    }
+
+    let worker;
+    try {
+        worker = new Worker('js/simulation-worker.js');
+    } catch (error) {
+        console.warn('Web Worker unavailable, simulating on the main thread:', error);
+        return new Promise((resolve, reject) => {
+            // Yield first so the page can show that the simulation started
+            setTimeout(() => {
+                try {
+                    resolve(runAgentSimulation(scenario, onProgress));
+                } catch (simulationError) {
+                    reject(simulationError);
+                }
+            }, 0);
+        });
+    }
+
+    return new Promise((resolve, reject) => {
+        const finish = () => {
+            worker.terminate();
+            if (activeSimulation?.worker === worker) activeSimulation = null;
+        };
+        activeSimulation = { worker: worker, reject: reject };
+
+        worker.addEventListener('message', event => {
+            const { type } = event.data;
+            if (type === 'progress') {
+                if (onProgress) onProgress(event.data.progress);
+                return;
+            }
+
+            finish();
+            if (type === 'result') {
+                resolve(event.data.result);
+            } else {
+                reject(new Error(event.data.message));
+            }
+        });
+        worker.addEventListener('error', event => {
+            finish();
+            reject(new Error(event.message || 'Simulation worker failed'));
+        });
+
+        worker.postMessage({ scenario: scenario });
+    });
+}
@@ -0,0 +1,452 @@
+/**
+ * Conspiracy Theorazine Uncertainty Analysis
+ * Monte Carlo sampling over uncertain inputs (conspirators, years, leak rate)
+ * to report medians and credible intervals instead of a single exact number,
+ * and a one-at-a-time sensitivity analysis showing which input matters most
+ */
+
+const MONTE_CARLO_DEFAULTS = {
+    samples: 500,
+    seed: 20160126, // Fixed seed so results don't jitter between recalculations
+    lowerQuantile: 0.05,
+    upperQuantile: 0.95
+};
+
+// Monte Carlo run currently in a worker ({worker, reject}), cancelled when a new run starts
+let activeMonteCarlo = null;
+
+// z-score of the 95th percentile, used to turn a 5-95% range into a log-normal sigma
+const Z_95 = 1.6448536269514722;
+
+/**
+ * Distributions an uncertain input can follow
+ * Every distribution is described by {min, mode, max}:
+ * - uniform: equally likely anywhere between min and max
+ * - lognormal: min and max are the 5th and 95th percentiles (median is their geometric mean)
+ * - triangular: most likely at mode, tapering to zero at min and max
+ */
+const DISTRIBUTIONS = {
+    'fixed': {
+        label: 'Fixed value',
+        sample: (spec) => spec.mode
+    },
+    'uniform': {
+        label: 'Uniform',
+        sample: (spec, random) => spec.min + random() * (spec.max - spec.min)
+    },
+    'lognormal': {
+        label: 'Log-normal',
+        sample: (spec, random) => {
+            const mu = (Math.log(spec.min) + Math.log(spec.max)) / 2;
+            const sigma = (Math.log(spec.max) - Math.log(spec.min)) / (2 * Z_95);
+            return Math.exp(mu + sigma * sampleStandardNormal(random));
+        }
+    },
+    'triangular': {
+        label: 'Triangular',
+        sample: (spec, random) => {
+            const { min, mode, max } = spec;
+            if (max === min) return min;
+
+            const u = random();
+            const split = (mode - min) / (max - min);
+            if (u < split) {
+                return min + Math.sqrt(u * (max - min) * (mode - min));
+            }
+            return max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+        }
+    }
+};
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning uniform numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draw from a standard normal distribution (Box-Muller)
+ */
+function sampleStandardNormal(random) {
+    const u = 1 - random(); // Avoid log(0)
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Validate a distribution spec
+ */
+function validateDistribution(spec, name) {
+    if (!DISTRIBUTIONS.hasOwnProperty(spec.type)) {
+        throw new Error(`Invalid distribution for ${name}`);
+    }
+    if (spec.type === 'fixed') {
+        if (typeof spec.mode !== 'number' || !isFinite(spec.mode)) {
+            throw new Error(`Invalid value for ${name}`);
+        }
+        return;
+    }
+    if (typeof spec.min !== 'number' || typeof spec.max !== 'number' || spec.min > spec.max) {
+        throw new Error(`Invalid range for ${name}`);
+    }
+    if (spec.type === 'lognormal' && spec.min <= 0) {
+        throw new Error(`Log-normal range for ${name} must be positive`);
+    }
+    if (spec.type === 'triangular' && (typeof spec.mode !== 'number' || spec.mode < spec.min || spec.mode > spec.max)) {
+        throw new Error(`Most likely value for ${name} must lie within its range`);
+    }
+}
+
+/**
+ * Draw one value from a distribution spec, or return the fallback when no spec is given
+ */
+function sampleDistribution(spec, fallback, random) {
+    if (!spec) return fallback;
+    return DISTRIBUTIONS[spec.type].sample(spec, random);
+}
+
+/**
+ * Linearly interpolated quantile of an already sorted array
+ */
+function calculateQuantile(sortedValues, q) {
+    if (sortedValues.length === 0) return NaN;
+
+    const position = (sortedValues.length - 1) * q;
+    const lowerIndex = Math.floor(position);
+    const upperIndex = Math.ceil(position);
+    const lower = sortedValues[lowerIndex];
+    const upper = sortedValues[upperIndex];
+
+    if (lower === upper) return lower; // Also covers Infinity
+    return lower + (upper - lower) * (position - lowerIndex);
+}
+
+/**
+ * Summarize samples as median and credible interval
+ */
+function summarizeSamples(values, lowerQuantile, upperQuantile) {
+    const sorted = [...values].sort((a, b) => (a === b ? 0 : a < b ? -1 : 1));
+    return {
+        median: calculateQuantile(sorted, 0.5),
+        lower: calculateQuantile(sorted, lowerQuantile),
+        upper: calculateQuantile(sorted, upperQuantile)
+    };
+}
+
+/**
+ * Run a Monte Carlo analysis over uncertain inputs
+ *
+ * The leak rate range is given in the units of the scenario's profession; in
+ * mixed-group scenarios every group's rate is scaled by the same factor, and a
+ * sampled conspirator count scales every group proportionally.
+ *
+ * @param {number} conspirators - Point estimate of the number of people involved
+ * @param {number} years - Point estimate of the years active
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options passed through to the calculator
+ * @param {object} uncertainty - {conspirators, years, leakRate} distribution specs ({type, min, mode, max}),
+ *                               plus optional samples, seed and maxYears (for the survival band)
+ * @returns {object|null} {samples, survival, logSurvival, exposure, expectedTime, series} or null if the analysis fails;
+ *                        logSurvival summarizes log₁₀ of the survival probability, which stays
+ *                        meaningful when the survival probability underflows to 0
+ */
+function runMonteCarlo(conspirators, years, professionType, options = {}, uncertainty = {}) {
+    try {
+        validateInputs(conspirators, years, professionType, options);
+        ['conspirators', 'years', 'leakRate'].forEach(name => {
+            if (uncertainty[name]) validateDistribution(uncertainty[name], name);
+        });
+
+        const settings = { ...MONTE_CARLO_DEFAULTS, ...uncertainty };
+        const random = createSeededRandom(settings.seed);
+        const baseLeakRate = getLeakRate(professionType, options);
+        const maxYears = settings.maxYears ?? Math.max(50, years);
+        const step = getSeriesStep(maxYears);
+
+        const seriesYears = [];
+        for (let year = 0; year <= maxYears; year += step) {
+            seriesYears.push(year);
+        }
+
+        const logSurvivalSamples = [];
+        const expectedTimeSamples = [];
+        const seriesSamples = seriesYears.map(() => []);
+
+        for (let i = 0; i < settings.samples; i++) {
+            const sampledConspirators = Math.round(Math.min(10000000, Math.max(1,
+                sampleDistribution(uncertainty.conspirators, conspirators, random))));
+            const sampledYears = Math.min(1000, Math.max(0,
+                sampleDistribution(uncertainty.years, years, random)));
+            const sampledLeakRate = Math.max(0,
+                sampleDistribution(uncertainty.leakRate, baseLeakRate, random));
+
+            const sampleOptions = {
+                ...options,
+                leakRateScale: (options.leakRateScale ?? 1) * (sampledLeakRate / baseLeakRate)
+            };
+            if (Array.isArray(options.groups) && options.groups.length > 0) {
+                const factor = sampledConspirators / conspirators;
+                sampleOptions.groups = options.groups.map(group => ({
+                    ...group,
+                    conspirators: Math.max(1, Math.round(group.conspirators * factor))
+                }));
+            }
+
+            logSurvivalSamples.push(-calculateCumulativeHazard(sampledConspirators, sampledYears, professionType, sampleOptions) / Math.LN10);
+            expectedTimeSamples.push(computeExpectedTime(sampledConspirators, professionType, sampleOptions));
+
+            let cumulativeHazard = 0;
+            seriesYears.forEach((year, index) => {
+                if (index > 0) {
+                    cumulativeHazard += calculateHazardBetween(sampledConspirators, seriesYears[index - 1], year, professionType, sampleOptions);
+                }
+                seriesSamples[index].push(Math.exp(-cumulativeHazard) * 100);
+            });
+        }
+
+        // Quantiles commute with the logarithm, so summarize in log space and convert back
+        const logSurvival = summarizeSamples(logSurvivalSamples, settings.lowerQuantile, settings.upperQuantile);
+        const toSurvival = logValue => Math.pow(10, logValue);
+        const toExposure = logValue => -Math.expm1(logValue * Math.LN10);
+
+        return {
+            samples: settings.samples,
+            survival: {
+                median: toSurvival(logSurvival.median),
+                lower: toSurvival(logSurvival.lower),
+                upper: toSurvival(logSurvival.upper)
+            },
+            logSurvival: logSurvival,
+            exposure: {
+                median: toExposure(logSurvival.median),
+                lower: toExposure(logSurvival.upper),
+                upper: toExposure(logSurvival.lower)
+            },
+            expectedTime: summarizeSamples(expectedTimeSamples, settings.lowerQuantile, settings.upperQuantile),
+            series: seriesYears.map((year, index) => ({
+                year: year,
+                ...summarizeSamples(seriesSamples[index], settings.lowerQuantile, settings.upperQuantile)
+            }))
+        };
+    } catch (error) {
+        console.error('Error running Monte Carlo analysis:', error);
+        return null;
+    }
+}
+
+/**
+ * Run the Monte Carlo analysis in a Web Worker so the page stays responsive
+ * Starting a new run cancels the previous one, whose promise rejects with
+ * error.cancelled set. Falls back to the main thread when workers aren't
+ * available (e.g. when the page is opened from a file)
+ *
+ * @returns {Promise<object|null>} The runMonteCarlo result
+ */
+function runMonteCarloInWorker(conspirators, years, professionType, options = {}, uncertainty = {}) {
+    if (activeMonteCarlo) {
+        activeMonteCarlo.worker.terminate();
+        const cancelled = new Error('Monte Carlo analysis cancelled');
+        cancelled.cancelled = true;
+        activeMonteCarlo.reject(cancelled);
+        activeMonteCarlo = null;
+    }
+
+    let worker;
+    try {
+        worker = new Worker('js/monte-carlo-worker.js');
+    } catch (error) {
+        console.warn('Web Worker unavailable, running Monte Carlo on the main thread:', error);
+        return new Promise(resolve => {
+            setTimeout(() => resolve(runMonteCarlo(conspirators, years, professionType, options, uncertainty)), 0);
+        });
+    }
+
+    return new Promise((resolve, reject) => {
+        const finish = () => {
+            worker.terminate();
+            if (activeMonteCarlo?.worker === worker) activeMonteCarlo = null;
+        };
+        activeMonteCarlo = { worker: worker, reject: reject };
+
+        worker.addEventListener('message', event => {
+            finish();
+            if (event.data.type === 'result') {
+                resolve(event.data.result);
+            } else {
+                reject(new Error(event.data.message));
+            }
+        });
+        worker.addEventListener('error', event => {
+            finish();
+            reject(new Error(event.message || 'Monte Carlo worker failed'));
+        });
+
+        worker.postMessage({ conspirators, years, professionType, options, uncertainty });
+    });
+}
+
+/**
+ * Inputs the sensitivity analysis perturbs
+ * Each input has a default range as multiples of its current value, limits that keep the
+ * scenario valid, and a way to build the scenario with the input set to a new value
+ * - relevant: whether the input affects this scenario at all
+ */
+const SENSITIVITY_INPUTS = {
+    'conspirators': {
+        label: 'Conspirators',
+        range: [0.5, 2],
+        value: (scenario) => scenario.conspirators,
+        // Every group needs at least one member, and the total is capped like any other input
+        limits: (scenario) => {
+            const groups = resolveGroups(scenario.conspirators, scenario.professionType, scenario.options);
+            const smallest = Math.min(...groups.map(group => group.conspirators));
+            return [scenario.conspirators / smallest, 10000000];
+        },
+        apply: (scenario, value) => {
+            const factor = value / scenario.conspirators;
+            const options = { ...scenario.options };
+            if (Array.isArray(options.groups) && options.groups.length > 0) {
+                options.groups = options.groups.map(group => ({
+                    ...group,
+                    conspirators: group.conspirators * factor
+                }));
+            }
+            return { ...scenario, conspirators: value, options: options };
+        }
+    },
+    'years': {
+        label: 'Years active',
+        range: [0.75, 1.25],
+        value: (scenario) => scenario.years,
+        limits: () => [0, 1000],
+        apply: (scenario, value) => ({ ...scenario, years: value })
+    },
+    'leakRate': {
+        label: 'Leak rate',
+        range: [0.5, 2],
+        value: (scenario) => getLeakRate(scenario.professionType, scenario.options),
+        limits: () => [0, Infinity],
+        apply: (scenario, value) => {
+            const baseLeakRate = getLeakRate(scenario.professionType, scenario.options);
+            return {
+                ...scenario,
+                options: {
+                    ...scenario.options,
+                    leakRateScale: (scenario.options.leakRateScale ?? 1) * (value / baseLeakRate)
+                }
+            };
+        }
+    },
+    'populationAffected': {
+        label: 'Population affected',
+        range: [0.5, 2],
+        relevant: (scenario) => getDiscoveryRate(scenario.options) > 0,
+        value: (scenario) => scenario.options.populationAffected,
+        limits: () => [0, Infinity],
+        apply: (scenario, value) => ({
+            ...scenario,
+            options: { ...scenario.options, populationAffected: value }
+        })
+    }
+};
+
+// Relative step of the central difference used for elasticities
+const ELASTICITY_STEP = 0.01;
+
+/**
+ * Format an input value or elasticity for display, to three significant figures
+ */
+function formatSensitivityValue(value) {
+    return (value || 0).toLocaleString(undefined, { maximumSignificantDigits: 3 }); // Also turns -0 into 0
+}
+
+/**
+ * log₁₀ of the survival probability of a scenario, computed from the cumulative hazard
+ * so it stays finite when the probability itself underflows to 0
+ */
+function getScenarioLogSurvival(scenario) {
+    return -calculateCumulativeHazard(scenario.conspirators, scenario.years, scenario.professionType, scenario.options) / Math.LN10;
+}
+
+/**
+ * One-at-a-time sensitivity analysis of the survival probability
+ *
+ * Each input is moved to the low and high ends of its range while the others stay
+ * at their current values, and the change in survival is reported in orders of
+ * magnitude (log₁₀). The elasticity is the local slope ∂ln P / ∂ln x: the percentage
+ * change in survival probability for a 1% change in the input.
+ *
+ * @param {number} conspirators - Number of people involved
+ * @param {number} years - Years active
+ * @param {string} professionType - Type of conspirators
+ * @param {object} options - Model options passed through to the calculator
+ * @param {object} ranges - Optional {input: {min, max}} overriding the default ranges
+ * @returns {object|null} {logSurvival, survival, inputs} with inputs sorted by the size of
+ *                        their swing, or null if the analysis fails
+ */
+function runSensitivityAnalysis(conspirators, years, professionType, options = {}, ranges = {}) {
+    try {
+        validateInputs(conspirators, years, professionType, options);
+
+        const scenario = { conspirators, years, professionType, options };
+        const logSurvival = getScenarioLogSurvival(scenario);
+        const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+        const inputs = Object.entries(SENSITIVITY_INPUTS)
+            .filter(([, input]) => !input.relevant || input.relevant(scenario))
+            .map(([name, input]) => {
+                const value = input.value(scenario);
+                const limits = input.limits(scenario);
+                const logSurvivalAt = x => getScenarioLogSurvival(input.apply(scenario, x));
+
+                const low = clamp(ranges[name]?.min ?? value * input.range[0], limits);
+                const high = clamp(ranges[name]?.max ?? value * input.range[1], limits);
+                const logSurvivalLow = logSurvivalAt(low);
+                const logSurvivalHigh = logSurvivalAt(high);
+
+                // Central difference in log-log space, one-sided where a limit is in the way
+                let elasticity = null;
+                if (value > 0) {
+                    const below = clamp(value * (1 - ELASTICITY_STEP), limits);
+                    const above = clamp(value * (1 + ELASTICITY_STEP), limits);
+                    if (above > below) {
+                        elasticity = (logSurvivalAt(above) - logSurvivalAt(below)) * Math.LN10 /
+                            Math.log(above / below);
+                    }
+                }
+
+                return {
+                    name: name,
+                    label: input.label,
+                    value: value,
+                    low: low,
+                    high: high,
+                    logSurvivalLow: logSurvivalLow,
+                    logSurvivalHigh: logSurvivalHigh,
+                    swing: Math.abs(logSurvivalHigh - logSurvivalLow),
+                    elasticity: elasticity
+                };
+            })
+            .sort((a, b) => b.swing - a.swing);
+
+        return {
+            logSurvival: logSurvival,
+            survival: Math.pow(10, logSurvival),
+            inputs: inputs
+        };
+    } catch (error) {
+        console.error('Error running sensitivity analysis:', error);
+        return null;
+    }
+}
@@ -1,16 +1,574 @@
 // Netlify Function: perplexity.js
 // Updated to use ES modules and improved error handling
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Profession types the calculator has leak rates for (see LEAK_RATES in js/calculator.js)
+const PROFESSION_TYPES = ['intelligence', 'scientists', 'military', 'government', 'corporate', 'general'];
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// Same limits as validateInputs in js/calculator.js
+const MAX_CONSPIRATORS = 10000000;
+const MAX_POPULATION = 10000000000;
+const MAX_LIST_ITEMS = 10;
+
+// Estimates the model must quote its analysis for, so each one can be reviewed
+const EVIDENCE_FIELDS = ['scale', 'startYear', 'populationAffected'];
+
+const FIELD_EVIDENCE_SCHEMA = {
+  type: 'object',
+  properties: {
+    quote: { type: 'string' },
+    confidence: { type: 'string', enum: CONFIDENCE_LEVELS }
+  },
+  required: ['quote', 'confidence']
+};
+
+// JSON schema the model must answer with: the prose analysis plus the
+// estimates the calculator offers to apply
+const ESTIMATES_SCHEMA = {
+  type: 'object',
+  properties: {
+    analysis: { type: 'string' },
+    conspiratorGroups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          conspirators: { type: 'integer' },
+          professionType: { type: 'string', enum: PROFESSION_TYPES }
+        },
+        required: ['name', 'conspirators', 'professionType']
+      }
+    },
+    startYear: { type: 'integer' },
+    populationAffected: { type: 'number' },
+    keyClaims: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          claim: { type: 'string' },
+          basis: { type: 'string' }
+        },
+        required: ['claim', 'basis']
+      }
+    },
+    sources: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          url: { type: 'string' }
+        },
+        required: ['title', 'url']
+      }
+    },
+    evidence: {
+      type: 'object',
+      properties: Object.fromEntries(EVIDENCE_FIELDS.map(field => [field, FIELD_EVIDENCE_SCHEMA])),
+      required: EVIDENCE_FIELDS
+    },
+    confidence: { type: 'string', enum: CONFIDENCE_LEVELS }
+  },
+  required: ['analysis', 'conspiratorGroups', 'startYear', 'populationAffected', 'keyClaims', 'sources', 'evidence', 'confidence']
+};
+
+/**
+ * Pull the JSON object out of the model's reply. Reasoning models put a
+ * <think> block before it and some wrap it in a code fence.
+ * @returns {object|null} The parsed object, or null if there is none
+ */
+function parseStructuredContent(content) {
+  if (typeof content !== 'string') return null;
+
+  const text = content.replace(/<think>[\s\S]*?<\/think>/g, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (err) {
+    console.error('Error parsing structured response:', err);
+    return null;
+  }
+}
+
+/**
+ * Trim a value to a string of at most maxLength characters
+ * @returns {string} The cleaned string, empty if the value is not a string
+ */
+function cleanText(value, maxLength) {
+  return typeof value === 'string' ? value.replace(/[<>]/g, '').trim().slice(0, maxLength) : '';
+}
+
+/**
+ * Validate the model's structured answer and normalize it to the shape the
+ * front end applies. Fields that are missing or out of range become null (or
+ * are dropped from lists) rather than being guessed.
+ * @param {object} raw - Parsed JSON from the model
+ * @returns {object} { conspiratorGroups, startYear, populationAffected, keyClaims, sources, evidence, confidence }
+ */
+function validateEstimates(raw) {
+  const currentYear = new Date().getFullYear();
+
+  const conspiratorGroups = (Array.isArray(raw.conspiratorGroups) ? raw.conspiratorGroups : [])
+    .filter(group => group && Number.isFinite(Number(group.conspirators)))
+    .map(group => ({
+      name: cleanText(group.name, 100),
+      conspirators: Math.round(Number(group.conspirators)),
+      professionType: PROFESSION_TYPES.includes(group.professionType) ? group.professionType : 'general'
+    }))
+    .filter(group => group.conspirators >= 1 && group.conspirators <= MAX_CONSPIRATORS)
+    .slice(0, MAX_LIST_ITEMS);
+
+  const total = conspiratorGroups.reduce((sum, group) => sum + group.conspirators, 0);
+
+  const startYear = Number.isInteger(raw.startYear) && raw.startYear >= currentYear - 1000 && raw.startYear <= currentYear
+    ? raw.startYear
+    : null;
+
+  const populationAffected = Number.isFinite(raw.populationAffected) && raw.populationAffected >= 0 &&
+    raw.populationAffected <= MAX_POPULATION
+    ? Math.round(raw.populationAffected)
+    : null;
+
+  const keyClaims = (Array.isArray(raw.keyClaims) ? raw.keyClaims : [])
+    .map(item => ({ claim: cleanText(item?.claim, 300), basis: cleanText(item?.basis, 500) }))
+    .filter(item => item.claim)
+    .slice(0, MAX_LIST_ITEMS);
+
+  const sources = (Array.isArray(raw.sources) ? raw.sources : [])
+    .map(item => ({ title: cleanText(item?.title, 200), url: cleanText(item?.url, 500) }))
+    .filter(item => /^https?:\/\/\S+$/.test(item.url))
+    .slice(0, MAX_LIST_ITEMS);
+
+  const confidence = CONFIDENCE_LEVELS.includes(raw.confidence) ? raw.confidence : 'low';
+
+  // Each field's quote from the analysis, falling back to the overall confidence
+  const evidence = Object.fromEntries(EVIDENCE_FIELDS.map(field => {
+    const item = raw.evidence?.[field];
+    return [field, {
+      quote: cleanText(item?.quote, 300),
+      confidence: CONFIDENCE_LEVELS.includes(item?.confidence) ? item.confidence : confidence
+    }];
+  }));
+
+  return {
+    conspiratorGroups: total <= MAX_CONSPIRATORS ? conspiratorGroups : [],
+    startYear,
+    populationAffected,
+    keyClaims,
+    sources,
+    evidence,
+    confidence
+  };
+}
+
+/**
+ * Build the deterministic reply of the mock provider from a hash of the
+ * input, so the same theory always gets the same estimates
+ * @returns {string} JSON content in the shape of ESTIMATES_SCHEMA
+ */
+function buildMockContent(conspiracyName, description) {
+  let hash = 0;
+  for (const char of `${conspiracyName}\n${description}`) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+
+  const professionType = PROFESSION_TYPES[hash % PROFESSION_TYPES.length];
+  const core = 20 + hash % 180;
+  const staff = 500 + hash % 9500;
+  const startYear = 1950 + hash % 70;
+  const populationAffected = 1000000 * (1 + hash % 1000);
+
+  const scaleQuote = `Keeping it secret would take about ${core} core planners and ${staff.toLocaleString('en-US')} supporting staff.`;
+  const startQuote = `The theory dates back to ${startYear}.`;
+  const populationQuote = `Around ${populationAffected.toLocaleString('en-US')} people would be affected.`;
+
+  return JSON.stringify({
+    analysis: [
+      '1. ESTIMATED SCALE:', scaleQuote, '',
+      '2. TEMPORAL ANALYSIS:', startQuote, '',
+      '3. IMPACT ASSESSMENT:', populationQuote, '',
+      '4. FEASIBILITY FACTORS:', 'This is a mock analysis for development; no research was done.', '',
+      '5. SOURCE EVALUATION:', `No sources were consulted for "${conspiracyName}".`
+    ].join('\n'),
+    conspiratorGroups: [
+      { name: 'Core planners', conspirators: core, professionType },
+      { name: 'Supporting staff', conspirators: staff, professionType: 'general' }
+    ],
+    startYear,
+    populationAffected,
+    keyClaims: [{ claim: description.slice(0, 200), basis: 'Not evaluated by the mock provider.' }],
+    sources: [{ title: 'Grimes (2016), On the Viability of Conspiratorial Beliefs', url: 'https://doi.org/10.1371/journal.pone.0147905' }],
+    evidence: {
+      scale: { quote: scaleQuote, confidence: 'medium' },
+      startYear: { quote: startQuote, confidence: 'high' },
+      populationAffected: { quote: populationQuote, confidence: 'low' }
+    },
+    confidence: 'medium'
+  });
+}
+
+// LLM backends, selected with the LLM_PROVIDER environment variable.
+// Network providers build a chat completion request and read the reply;
+// the mock provider answers locally with no network or API key.
+const PROVIDERS = {
+  perplexity: {
+    label: 'Perplexity',
+    baseUrl: 'https://api.perplexity.ai',
+    model: 'sonar-reasoning', // Fast reasoning model with search
+    apiKeyEnv: 'PERPLEXITY_API_KEY',
+    requiresApiKey: true,
+    responseFormat: { type: 'json_schema', json_schema: { schema: ESTIMATES_SCHEMA } },
+    getCitations: data => Array.isArray(data.citations) ? data.citations : []
+  },
+  openai: {
+    // Any OpenAI-compatible endpoint: OpenAI itself, or a local server such as
+    // Ollama (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1)
+    label: 'OpenAI-compatible',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    requiresApiKey: false, // Local servers usually need no key
+    responseFormat: { type: 'json_schema', json_schema: { name: 'conspiracy_estimates', schema: ESTIMATES_SCHEMA } },
+    getCitations: () => []
+  },
+  mock: {
+    label: 'Mock',
+    model: 'mock-deterministic',
+    requiresApiKey: false,
+    complete: (conspiracyName, description) => ({
+      content: buildMockContent(conspiracyName, description),
+      citations: []
+    })
+  }
+};
+
+/**
+ * Read the provider configuration from the environment:
+ * LLM_PROVIDER (perplexity, openai or mock; default perplexity), LLM_API_KEY
+ * (or the provider's own key variable), LLM_BASE_URL and LLM_MODEL
+ * @returns {object|null} { name, provider, apiKey, baseUrl, model }, or null if the provider is unknown
+ */
+function getProviderConfig(env) {
+  const name = (env.LLM_PROVIDER || 'perplexity').trim().toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) return null;
+
+  return {
+    name,
+    provider,
+    apiKey: env.LLM_API_KEY || (provider.apiKeyEnv ? env[provider.apiKeyEnv] : undefined),
+    baseUrl: (env.LLM_BASE_URL || provider.baseUrl || '').replace(/\/+$/, ''),
+    model: env.LLM_MODEL || provider.model
+  };
+}
+
+// Default lifetime of a cached analysis (ANALYSIS_CACHE_TTL_SECONDS; 0 turns caching off)
+const DEFAULT_CACHE_TTL_SECONDS = 24 * 60 * 60;
+
+// Entries of the in-memory store, kept for as long as the function instance
+// stays warm; the oldest are dropped past MAX_MEMORY_CACHE_ENTRIES
+const memoryCache = new Map();
+const MAX_MEMORY_CACHE_ENTRIES = 500;
+
+// Where cached analyses are kept, selected with ANALYSIS_CACHE_STORE. Each
+// factory returns an async { get(key), set(key, entry) } store.
+const CACHE_STORES = {
+  memory: () => ({
+    get: async key => memoryCache.get(key) || null,
+    set: async (key, entry) => {
+      memoryCache.delete(key);
+      memoryCache.set(key, entry);
+      if (memoryCache.size > MAX_MEMORY_CACHE_ENTRIES) {
+        memoryCache.delete(memoryCache.keys().next().value);
+      }
+    }
+  }),
+  file: env => {
+    const dir = env.ANALYSIS_CACHE_DIR || path.join(os.tmpdir(), 'theorazine-analysis-cache');
+    const fileFor = key => path.join(dir, `${key}.json`);
+    return {
+      get: async key => {
+        try {
+          return JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+          return null;
+        }
+      },
+      set: async (key, entry) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(fileFor(key), JSON.stringify(entry));
+      }
+    };
+  },
+  blobs: async (env, event) => {
+    const { connectLambda, getStore } = await import('@netlify/blobs');
+    // Functions written as exports.handler have to pass their event to Netlify Blobs
+    if (event?.blobs) {
+      connectLambda(event);
+    }
+    const store = getStore(env.ANALYSIS_CACHE_BLOB_STORE || 'analysis-cache');
+    return {
+      get: key => store.get(key, { type: 'json' }),
+      set: (key, entry) => store.setJSON(key, entry)
+    };
+  }
+};
+
+/**
+ * Normalize a theory name or description for the cache key, so that case,
+ * accents, punctuation and spacing don't make a new entry
+ */
+function normalizeTheoryText(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Cache key for an analysis: a hash of the normalized theory plus the provider
+ * and model, so switching either doesn't serve the other's answers
+ */
+function getCacheKey(config, conspiracyName, description) {
+  return crypto
+    .createHash('sha256')
+    .update([config.name, config.model, normalizeTheoryText(conspiracyName), normalizeTheoryText(description)].join('\n'))
+    .digest('hex');
+}
+
+/**
+ * Read the cache configuration from the environment: ANALYSIS_CACHE_STORE
+ * (memory, file, blobs or none; default memory) and ANALYSIS_CACHE_TTL_SECONDS
+ * @returns {Promise<object|null>} { store, ttlMs }, or null if caching is off
+ */
+async function getAnalysisCache(env, event) {
+  const name = (env.ANALYSIS_CACHE_STORE || 'memory').trim().toLowerCase();
+  const ttlSeconds = env.ANALYSIS_CACHE_TTL_SECONDS !== undefined
+    ? parseFloat(env.ANALYSIS_CACHE_TTL_SECONDS)
+    : DEFAULT_CACHE_TTL_SECONDS;
+
+  if (name === 'none' || !(ttlSeconds > 0)) return null;
+  if (!CACHE_STORES[name]) {
+    console.error('Unknown analysis cache store, caching disabled:', name);
+    return null;
+  }
+
+  return { store: await CACHE_STORES[name](env, event), ttlMs: ttlSeconds * 1000 };
+}
+
+// Per-client token buckets ({tokens, updatedAt}) for this function instance;
+// the least recently used are dropped past MAX_RATE_LIMIT_CLIENTS
+const rateLimitBuckets = new Map();
+const MAX_RATE_LIMIT_CLIENTS = 10000;
+
+/**
+ * Read the abuse limits from the environment: RATE_LIMIT_BURST requests per
+ * client, refilled one every RATE_LIMIT_REFILL_SECONDS, and at most
+ * DAILY_REQUEST_BUDGET calls to the provider per UTC day. 0 turns a limit off.
+ */
+function getRateLimitConfig(env) {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+
+  return {
+    burst: number(env.RATE_LIMIT_BURST, 5),
+    refillSeconds: number(env.RATE_LIMIT_REFILL_SECONDS, 60),
+    dailyBudget: number(env.DAILY_REQUEST_BUDGET, 500)
+  };
+}
+
+/**
+ * Identify the client for rate limiting: its IP address, or the session id
+ * the front end sends when no address is available
+ */
+function getClientKey(event) {
+  const headers = event.headers || {};
+  const ip = headers['x-nf-client-connection-ip'] ||
+    (headers['x-forwarded-for'] || '').split(',')[0].trim() ||
+    headers['client-ip'];
+  if (ip) return `ip:${ip}`;
+
+  const session = headers['x-client-session'];
+  return session ? `session:${String(session).slice(0, 100)}` : 'anonymous';
+}
+
+/**
+ * Take a token from the client's bucket
+ * @returns {number} 0 if the request may go ahead, otherwise the seconds until a token is free
+ */
+function takeRateLimitToken(clientKey, limits, now) {
+  if (!(limits.burst > 0)) return 0;
+
+  const bucket = rateLimitBuckets.get(clientKey) || { tokens: limits.burst, updatedAt: now };
+  const refilled = limits.refillSeconds > 0 ? (now - bucket.updatedAt) / (limits.refillSeconds * 1000) : Infinity;
+  bucket.tokens = Math.min(limits.burst, bucket.tokens + refilled);
+  bucket.updatedAt = now;
+
+  rateLimitBuckets.delete(clientKey);
+  rateLimitBuckets.set(clientKey, bucket);
+  if (rateLimitBuckets.size > MAX_RATE_LIMIT_CLIENTS) {
+    rateLimitBuckets.delete(rateLimitBuckets.keys().next().value);
+  }
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil((1 - bucket.tokens) * limits.refillSeconds);
+}
+
+// Provider calls made per UTC day by this function instance, for the memory
+// budget store; kept apart from the analysis cache so entries can't evict it
+const memoryBudget = new Map();
+
+// Where the daily budget is counted, selected with DAILY_BUDGET_STORE. A day's
+// calls are numbered slots that are claimed with a create-only write, so two
+// calls can never both take the last one. Each factory returns an async
+// { count(day), claim(day, slot) } store; claim resolves false if the slot was taken.
+const BUDGET_STORES = {
+  // Per function instance: every warm instance has a budget of its own
+  memory: () => ({
+    count: async day => memoryBudget.get(day) || 0,
+    claim: async (day, slot) => {
+      if ((memoryBudget.get(day) || 0) > slot) return false;
+      memoryBudget.clear();
+      memoryBudget.set(day, slot + 1);
+      return true;
+    }
+  }),
+  file: env => {
+    const dir = env.DAILY_BUDGET_DIR || path.join(os.tmpdir(), 'theorazine-daily-budget');
+    return {
+      count: async day => {
+        try {
+          return (await fs.promises.readdir(path.join(dir, day))).length;
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+          return 0;
+        }
+      },
+      claim: async (day, slot) => {
+        await fs.promises.mkdir(path.join(dir, day), { recursive: true });
+        try {
+          await fs.promises.writeFile(path.join(dir, day, String(slot)), '', { flag: 'wx' });
+          return true;
+        } catch (err) {
+          if (err.code !== 'EEXIST') throw err;
+          return false;
+        }
+      }
+    };
+  },
+  blobs: async (env, event) => {
+    const { connectLambda, getStore } = await import('@netlify/blobs');
+    if (event?.blobs) {
+      connectLambda(event);
+    }
+    const store = getStore(env.DAILY_BUDGET_BLOB_STORE || 'analysis-budget');
+    return {
+      // Listing may lag behind recent writes; it is only where the claims start
+      count: async day => (await store.list({ prefix: `${day}/` })).blobs.length,
+      claim: async (day, slot) => (await store.set(`${day}/${slot}`, '1', { onlyIfNew: true })).modified
+    };
+  }
+};
+
+/**
+ * Pick the daily budget store: DAILY_BUDGET_STORE (memory, file or blobs),
+ * otherwise the same kind of store as the analysis cache, or memory
+ */
+async function getBudgetStore(env, event) {
+  const cacheStore = (env.ANALYSIS_CACHE_STORE || '').trim().toLowerCase();
+  const name = (env.DAILY_BUDGET_STORE || (BUDGET_STORES[cacheStore] ? cacheStore : 'memory')).trim().toLowerCase();
+  if (!BUDGET_STORES[name]) {
+    console.error('Unknown daily budget store, counting in memory:', name);
+    return BUDGET_STORES.memory(env, event);
+  }
+  return BUDGET_STORES[name](env, event);
+}
+
+/**
+ * Count a provider call against today's budget by claiming the next free slot
+ * @returns {Promise<number>} 0 if the call may go ahead, otherwise the seconds until the budget resets
+ */
+async function spendDailyBudget(store, limits, now) {
+  if (!(limits.dailyBudget > 0)) return 0;
+
+  const day = new Date(now).toISOString().slice(0, 10);
+  for (let slot = await store.count(day); slot < limits.dailyBudget; slot++) {
+    if (await store.claim(day, slot)) return 0;
+  }
+
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight.getTime() - now) / 1000);
+}
+
+/**
+ * Origins allowed to call the function: ALLOWED_ORIGINS (comma-separated, or
+ * * for any), otherwise the site's own Netlify URLs. An empty list (e.g. when
+ * running locally without either) allows any origin.
+ */
+function getAllowedOrigins(env) {
+  const origins = env.ALLOWED_ORIGINS !== undefined
+    ? env.ALLOWED_ORIGINS.split(',')
+    : [env.URL, env.DEPLOY_PRIME_URL, env.DEPLOY_URL];
+  return origins.map(origin => (origin || '').trim().replace(/\/+$/, '')).filter(Boolean);
+}
+
+/**
+ * Build a 429 response telling the client how long to wait
+ */
+function tooManyRequests(headers, retryAfter, message) {
+  return {
+    statusCode: 429,
+    headers: { ...headers, 'Retry-After': String(retryAfter) },
+    body: JSON.stringify({ error: message, retryAfter })
+  };
+}
+
 exports.handler = async function(event, context) {
-  // CORS headers for browser requests
+  // CORS headers for browser requests, limited to the allowed origins
+  const allowedOrigins = getAllowedOrigins(process.env);
+  const allowAnyOrigin = allowedOrigins.length === 0 || allowedOrigins.includes('*');
+  const origin = event.headers?.origin || event.headers?.Origin;
+  const originAllowed = allowAnyOrigin || allowedOrigins.includes(origin);
+
   const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS, PUT, DELETE',
+    'Access-Control-Allow-Origin': allowAnyOrigin ? '*' : (originAllowed ? origin : allowedOrigins[0]),
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, X-Client-Session',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
     'Access-Control-Allow-Credentials': 'false',
+    'Access-Control-Expose-Headers': 'Retry-After',
+    'Vary': 'Origin',
     'Content-Type': 'application/json'
   };
 
+  if (!originAllowed) {
+    console.error('Origin not allowed:', origin);
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({ error: 'Origin not allowed.' })
+    };
+  }
+
   // Handle preflight request
   if (event.httpMethod === 'OPTIONS') {
     return {
@@ -41,7 +599,7 @@ exports.handler = async function(event, context) {
     };
   }
 
-  const { conspiracyName, description } = body;
+  const { conspiracyName, description, refresh } = body;
   if (!conspiracyName || !description) {
     console.error('Missing input:', { conspiracyName, description });
     return {
@@ -68,9 +626,19 @@ exports.handler = async function(event, context) {
     };
   }
 
-  const apiKey = process.env.PERPLEXITY_API_KEY;
-  if (!apiKey) {
-    console.error('API key not found');
+  const config = getProviderConfig(process.env);
+  if (!config) {
+    console.error('Unknown LLM provider:', process.env.LLM_PROVIDER);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Service configuration error.' })
+    };
+  }
+
+  const { provider, apiKey, model } = config;
+  if (provider.requiresApiKey && !apiKey) {
+    console.error('API key not found for provider:', config.name);
     return {
       statusCode: 500,
       headers,
@@ -86,91 +654,179 @@ exports.handler = async function(event, context) {
 Conspiracy Theory: ${sanitizedName}
 Description: ${sanitizedDescription}
 
-Please provide a structured, evidence-based analysis:
+Answer with a single JSON object and nothing else. Its fields:
 
-1. ESTIMATED SCALE:
-   - Number of people who would need to be involved to maintain this conspiracy
-   - Type of conspirators (profession/role) required
+- analysis: a structured, evidence-based analysis in plain text, under 500 words, with these sections:
+  1. ESTIMATED SCALE: how many people would need to be involved to maintain this conspiracy, and in which roles
+  2. TEMPORAL ANALYSIS: how long the theory has allegedly been active, with historical context and timeline
+  3. IMPACT ASSESSMENT: the population affected or interested and the scope of influence (local, national, global)
+  4. FEASIBILITY FACTORS: practical challenges to maintaining secrecy and historical precedents of similar-scale conspiracies
+  5. SOURCE EVALUATION: key claims, their factual basis and the quality of the evidence
+- conspiratorGroups: the groups of people who would need to keep the secret, each with a name, a whole-number count of conspirators and a professionType, one of ${PROFESSION_TYPES.join(', ')}
+- startYear: the year the alleged conspiracy began
+- populationAffected: the number of people affected by or interested in it
+- keyClaims: the main claims, each with a claim and the factual basis for or against it
+- sources: credible sources, each with a title and url
+- evidence: for scale (the conspirator groups), startYear and populationAffected, the sentence of your analysis the estimate comes from (quote) and how confident you are in that estimate (confidence: low, medium or high)
+- confidence: low, medium or high, for how well-supported your estimates of scale and duration are overall
 
-2. TEMPORAL ANALYSIS:
-   - How long has this theory allegedly been active?
-   - Historical context and timeline
+Please be objective and cite specific examples where possible.`;
 
-3. IMPACT ASSESSMENT:
-   - Population size that would be affected or interested
-   - Scope of influence (local, national, global)
+  try {
+    // Serve a cached analysis of the same theory unless a refresh was asked for.
+    // Cache failures are logged and the analysis goes ahead without it.
+    let cache = null;
+    let cacheKey = null;
+    try {
+      cache = await getAnalysisCache(process.env, event);
+      cacheKey = cache ? getCacheKey(config, sanitizedName, sanitizedDescription) : null;
+      const entry = cache && refresh !== true ? await cache.store.get(cacheKey) : null;
+      if (entry && entry.expiresAt > Date.now()) {
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ ...entry.response, cached: true, cachedAt: entry.cachedAt })
+        };
+      }
+    } catch (cacheErr) {
+      console.error('Analysis cache read failed:', cacheErr);
+    }
 
-4. FEASIBILITY FACTORS:
-   - Practical challenges to maintaining secrecy
-   - Historical precedents of similar-scale conspiracies
+    // Only calls that reach the provider take a rate limit token or count
+    // against the daily budget; cache hits are free
+    const limits = getRateLimitConfig(process.env);
+    const retryAfter = takeRateLimitToken(getClientKey(event), limits, Date.now());
+    if (retryAfter > 0) {
+      return tooManyRequests(headers, retryAfter, 'Too many analysis requests. Please wait before trying again.');
+    }
 
-5. SOURCE EVALUATION:
-   - Key claims and their factual basis
-   - Credible sources and evidence quality
+    // The budget is a cap, so if its store can't be reached the call is turned away
+    if (limits.dailyBudget > 0) {
+      let budgetWait;
+      try {
+        budgetWait = await spendDailyBudget(await getBudgetStore(process.env, event), limits, Date.now());
+      } catch (budgetErr) {
+        console.error('Daily budget check failed:', budgetErr);
+        return {
+          statusCode: 503,
+          headers,
+          body: JSON.stringify({ error: 'The analysis service is unavailable right now. Please try again later.' })
+        };
+      }
+      if (budgetWait > 0) {
+        return tooManyRequests(headers, budgetWait, 'The daily analysis budget has been used up. Please try again tomorrow.');
+      }
+    }
 
-Please be objective, cite specific examples where possible, and keep response under 500 words.`;
+    let completion;
+    if (provider.complete) {
+      completion = provider.complete(sanitizedName, sanitizedDescription);
+    } else {
+      // Dynamic import for node-fetch v3 ESM
+      const { default: fetch } = await import('node-fetch');
 
-  try {
-    // Dynamic import for node-fetch v3 ESM
-    const { default: fetch } = await import('node-fetch');
-    
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 45000); // 45 second timeout for reasoning model
-
-    const response = await fetch('https://api.perplexity.ai/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Theorazine/2.0'
-      },
-      body: JSON.stringify({
-        model: 'sonar-reasoning',  // Fast reasoning model with search
-        messages: [{ 
-          role: 'user', 
-          content: prompt 
-        }],
-        max_tokens: 1000, // Increased for more detailed analysis
-        temperature: 0.1 // Very focused responses for analytical tasks
-      }),
-      signal: controller.signal
-    });
-
-    clearTimeout(timeout);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Perplexity API error:', response.status, errorText);
-      
-      let errorMessage = 'External service temporarily unavailable.';
-      if (response.status === 401) {
-        errorMessage = 'Authentication error. Check API key.';
-      } else if (response.status === 429) {
-        errorMessage = 'Rate limit exceeded. Please try again later.';
-      } else if (response.status === 400) {
-        errorMessage = 'Invalid request: ' + errorText;
-      } else if (response.status === 404) {
-        errorMessage = 'API endpoint or model not found: ' + errorText;
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), 45000); // 45 second timeout for reasoning models
+
+      const response = await fetch(`${config.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+          'Content-Type': 'application/json',
+          'User-Agent': 'Theorazine/2.0'
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{
+            role: 'user',
+            content: prompt
+          }],
+          max_tokens: 2000, // Room for the reasoning, the prose analysis and the estimates
+          temperature: 0.1, // Very focused responses for analytical tasks
+          response_format: provider.responseFormat
+        }),
+        signal: controller.signal
+      });
+
+      clearTimeout(timeout);
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`${provider.label} API error:`, response.status, errorText);
+
+        // Pass the provider's own rate limit on to the browser
+        if (response.status === 429) {
+          const providerRetryAfter = parseInt(response.headers.get('retry-after'), 10);
+          return tooManyRequests(headers, providerRetryAfter > 0 ? providerRetryAfter : 60,
+            'Rate limit exceeded. Please try again later.');
+        }
+
+        // The provider's own error body is only logged above; it can echo the
+        // prompt or account details, so the browser gets a fixed message
+        let errorMessage = 'External service temporarily unavailable.';
+        if (response.status === 401) {
+          errorMessage = 'Authentication error. Check API key.';
+        } else if (response.status === 400) {
+          errorMessage = 'The analysis service rejected the request.';
+        } else if (response.status === 404) {
+          errorMessage = 'API endpoint or model not found.';
+        }
+
+        return {
+          statusCode: 200, // Return 200 so browser can read the error message
+          headers,
+          body: JSON.stringify({ error: errorMessage })
+        };
+      }
+
+      const data = await response.json();
+
+      // Validate response structure
+      if (!data.choices || !Array.isArray(data.choices) || data.choices.length === 0) {
+        throw new Error('Invalid API response format');
       }
-      
-      return {
-        statusCode: 200, // Return 200 so browser can read the error message
-        headers,
-        body: JSON.stringify({ error: errorMessage, details: errorText })
+
+      completion = {
+        content: data.choices[0].message?.content || '',
+        citations: provider.getCitations(data)
       };
     }
 
-    const data = await response.json();
-    
-    // Validate response structure
-    if (!data.choices || !Array.isArray(data.choices) || data.choices.length === 0) {
-      throw new Error('Invalid API response format');
+    // Fall back to the raw reply as prose if the model ignored the schema;
+    // the front end then has no estimates to apply
+    const content = completion.content;
+    const structured = parseStructuredContent(content);
+    if (!structured) {
+      console.error('Structured response missing or invalid, returning prose only');
+    }
+
+    const result = {
+      analysis: structured
+        ? cleanText(structured.analysis, 10000)
+        : content.replace(/<think>[\s\S]*?<\/think>/g, '').trim(),
+      estimates: structured ? validateEstimates(structured) : null,
+      citations: completion.citations,
+      provider: provider.label,
+      model
+    };
+
+    // Only cache structured answers; a prose-only reply is worth retrying
+    if (cache && structured) {
+      try {
+        await cache.store.set(cacheKey, {
+          cachedAt: new Date().toISOString(),
+          expiresAt: Date.now() + cache.ttlMs,
+          response: result
+        });
+      } catch (cacheErr) {
+        console.error('Analysis cache write failed:', cacheErr);
+      }
     }
 
     return {
       statusCode: 200,
       headers,
-      body: JSON.stringify(data)
+      body: JSON.stringify({ ...result, cached: false })
     };
   } catch (err) {
     console.error('Function error:', err);
@@ -3,16 +3,31 @@
  * Provides basic caching for improved performance
  */
 
-const CACHE_NAME = 'theorazine-v1.0.0';
+const CACHE_NAME = 'theorazine-v1.1.2';
 const CACHE_URLS = [
     '/',
     '/index.html',
     '/css/styles.css',
+    '/js/performance.js',
     '/js/app.js',
     '/js/calculator.js',
+    '/js/uncertainty.js',
+    '/js/simulation.js',
+    '/js/simulation-worker.js',
+    '/js/monte-carlo-worker.js',
     '/js/charts.js',
+    '/js/chart-export.js',
     '/js/presets.js',
-    '/js/perplexity.js',
+    '/js/calibration.js',
+    '/js/perplexity.js'
+];
+
+// Third-party scripts cached alongside the app so charts keep working offline.
+// They are cached separately: if the CDN is unreachable (or blocked) at install
+// time the app still installs, and the charts use the built-in renderer instead.
+// The worker fetches these itself, so their hosts must be in the CSP's connect-src
+// (netlify.toml), not just script-src
+const CROSS_ORIGIN_CACHE_URLS = [
     'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js'
 ];
 
@@ -22,7 +37,11 @@ self.addEventListener('install', event => {
         caches.open(CACHE_NAME)
             .then(cache => {
                 console.log('Caching app resources');
-                return cache.addAll(CACHE_URLS);
+                return cache.addAll(CACHE_URLS).then(() => Promise.all(
+                    CROSS_ORIGIN_CACHE_URLS.map(url => cache.add(url).catch(err => {
+                        console.warn('Could not cache', url, err);
+                    }))
+                ));
             })
             .catch(err => {
                 console.warn('Cache installation failed:', err);
@@ -50,8 +69,9 @@ self.addEventListener('activate', event => {
 
 // Fetch event - serve from cache with network fallback
 self.addEventListener('fetch', event => {
-    // Skip cross-origin requests and non-GET requests
-    if (!event.request.url.startsWith(self.location.origin) || event.request.method !== 'GET') {
+    // Skip non-GET requests and cross-origin requests other than the cached third-party scripts
+    const isCachedCrossOrigin = CROSS_ORIGIN_CACHE_URLS.includes(event.request.url);
+    if ((!event.request.url.startsWith(self.location.origin) && !isCachedCrossOrigin) || event.request.method !== 'GET') {
         return;
     }
 
@@ -66,8 +86,11 @@ self.addEventListener('fetch', event => {
                 // Otherwise fetch from network
                 return fetch(event.request)
                     .then(response => {
-                        // Don't cache if not a valid response
-                        if (!response || response.status !== 200 || response.type !== 'basic') {
+                        // Don't cache if not a valid response; the third-party scripts arrive as CORS or opaque responses
+                        const isValid = response && (response.type === 'basic'
+                            ? response.status === 200
+                            : isCachedCrossOrigin && (response.status === 200 || response.type === 'opaque'));
+                        if (!isValid) {
                             return response;
                         }
 
@@ -89,6 +112,8 @@ self.addEventListener('fetch', event => {
                         if (event.request.mode === 'navigate') {
                             return caches.match('/index.html');
                         }
+                        // Anything else fails as a network error, as it would without the worker
+                        return Response.error();
                     });
             })
     );
@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const site = loadScripts('calculator');
+
+test('the expected time to exposure is the median time to first leak', () => {
+    [{}, { populationModel: 'exponential', removalRate: 0.01 }].forEach(options => {
+        const expected = site.calculateExpectedTimeUntilExposure(1000, 'government', options);
+        const median = site.calculateMedianFirstLeakTime(1000, 'government', options);
+        assert.ok(Math.abs(expected / median - 1) < 1e-9, `expected ${expected}, median ${median}`);
+    });
+});
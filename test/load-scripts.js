@@ -0,0 +1,24 @@
+/**
+ * Load the site's browser scripts for testing
+ * The scripts share one global scope in the page (and in the workers), so they
+ * are run in order in a single vm context and their functions read off it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Run js/<name>.js for each name in one fresh context
+ * @returns {object} The context, whose properties are the scripts' global functions
+ */
+function loadScripts(...names) {
+    const context = vm.createContext({ console, window: {} });
+    names.forEach(name => {
+        const file = path.join(__dirname, '..', 'js', `${name}.js`);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+module.exports = { loadScripts };
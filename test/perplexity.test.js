@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { handler } = require('../netlify/functions/perplexity');
+
+const budgetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'theorazine-budget-test-'));
+
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    ALLOWED_ORIGINS: '*',
+    ANALYSIS_CACHE_STORE: 'none',
+    RATE_LIMIT_BURST: '0',
+    DAILY_BUDGET_STORE: 'file',
+    DAILY_BUDGET_DIR: budgetDir
+});
+
+/**
+ * POST an analysis request for a theory to the function
+ */
+function analyze(conspiracyName) {
+    return handler({
+        httpMethod: 'POST',
+        headers: { 'x-nf-client-connection-ip': '203.0.113.1' },
+        body: JSON.stringify({ conspiracyName: conspiracyName, description: 'A test theory' })
+    });
+}
+
+test.after(() => fs.rmSync(budgetDir, { recursive: true, force: true }));
+
+test('the daily budget turns calls away once it is spent', async () => {
+    process.env.DAILY_REQUEST_BUDGET = '2';
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+        statuses.push((await analyze(`Spent ${i}`)).statusCode);
+    }
+    assert.deepStrictEqual(statuses, [200, 200, 429]);
+    fs.rmSync(budgetDir, { recursive: true, force: true });
+});
+
+test('the provider is not called when the budget store fails', async t => {
+    process.env.DAILY_REQUEST_BUDGET = '100';
+    // A budget store whose claims reject: the file store can't write its slot
+    const writeFile = fs.promises.writeFile;
+    t.mock.method(fs.promises, 'writeFile', (file, ...args) => file.startsWith(budgetDir)
+        ? Promise.reject(Object.assign(new Error('Store unavailable'), { code: 'EIO' }))
+        : writeFile(file, ...args));
+    t.mock.method(console, 'error', () => {});
+
+    const response = await analyze('Store down');
+    assert.strictEqual(response.statusCode, 503);
+    assert.ok(!JSON.parse(response.body).analysis, 'no analysis should be returned');
+});
+
+test('a store failure does not matter when there is no budget', async t => {
+    process.env.DAILY_REQUEST_BUDGET = '0';
+    t.mock.method(fs.promises, 'writeFile', () => Promise.reject(new Error('Store unavailable')));
+
+    assert.strictEqual((await analyze('No budget')).statusCode, 200);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const site = loadScripts('calculator', 'uncertainty', 'simulation');
+
+/**
+ * Assert that a simulated survival is within three standard errors of its closed form
+ */
+function assertWithinBand(result) {
+    assert.ok(result.closedForm !== null, 'closed form should describe the scenario');
+    const band = 3 * Math.sqrt(result.closedForm * (1 - result.closedForm) / result.replicates);
+    assert.ok(Math.abs(result.survival - result.closedForm) <= band,
+        `simulated ${result.survival} outside ${result.closedForm} ± ${band}`);
+}
+
+test('defection adds to the closed form of a single profession', () => {
+    const result = site.runAgentSimulation({
+        conspirators: 1000, years: 10, professionType: 'government', defectionRate: 0.0005, replicates: 20
+    });
+
+    // Leaks and defections at 0.0005 each, for 1,000 people over 10 years
+    assert.ok(Math.abs(result.closedForm / Math.exp(-10) - 1) < 1e-6, `closed form ${result.closedForm}`);
+});
+
+test('defection keeps tier multipliers and exposure probabilities in the closed form', () => {
+    const tiers = [
+        { name: 'Core', conspirators: 20, professionType: 'intelligence', leakRateMultiplier: 1, leakExposureProbability: 1 },
+        { name: 'Staff', conspirators: 200, professionType: 'general', leakRateMultiplier: 0.5, leakExposureProbability: 0.25 }
+    ];
+    const result = site.runAgentSimulation({
+        conspirators: 220, years: 10, professionType: 'general', options: { groups: tiers }, defectionRate: 0.0005
+    });
+
+    const hazard = 20 * (0.0003 + 0.0005) + 200 * (0.001 * 0.5 * 0.25 + 0.0005);
+    assert.ok(Math.abs(result.closedForm / Math.exp(-hazard * 10) - 1) < 1e-6, `closed form ${result.closedForm}`);
+    assertWithinBand(result);
+});
+
+test('defection keeps the incentives in the closed form', () => {
+    const options = { incentives: { rewardSize: 1000000, prosecutionRisk: 0.2, whistleblowerProtection: 0.9 } };
+    const result = site.runAgentSimulation({
+        conspirators: 100, years: 10, professionType: 'government', options: options, defectionRate: 0.0005
+    });
+
+    const leakRate = 0.0005 * site.getIncentiveFactors(options).total;
+    assert.ok(leakRate > 0.001, 'the incentives should raise the leak rate');
+    assert.ok(Math.abs(result.closedForm / Math.exp(-100 * (leakRate + 0.0005) * 10) - 1) < 1e-6,
+        `closed form ${result.closedForm}`);
+    assertWithinBand(result);
+});
+
+test('simulated survival stays within the closed form band when conspirators defect', () => {
+    const scenarios = [
+        { label: 'constant population' },
+        { label: 'retirements', retirementRate: 0.05 },
+        { label: 'deaths', mortality: true, startingAge: 60 },
+        { label: 'Weibull hazard', options: { hazardModel: 'weibull', weibullShape: 0.7, weibullScale: 10 } },
+        { label: 'belief stage', options: { beliefProbability: 0.5, beliefDecayRate: 0.05 } }
+    ];
+
+    scenarios.forEach(({ label, ...scenario }) => {
+        const result = site.runAgentSimulation({
+            conspirators: 200, years: 20, professionType: 'military', defectionRate: 0.0002,
+            replicates: 2000, seed: 42, ...scenario
+        });
+        assert.ok(result.causes.defection > 0, `${label}: some replicates should be exposed by a defection`);
+        assertWithinBand(result);
+    });
+});